@@ -0,0 +1,174 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Measures how long the backend takes to turn a flush into payloads, with a
+ * realistic number of keys and rules. Nothing is sent.
+ *
+ *   node benchmark/flush.js [--keys 80000] [--rules 40] [--flushes 5] [--dump file]
+ *
+ * The flushes are measured with the rule index (see lib/rule-index.js) and
+ * then with a baseline that evaluates every rule with every key, building
+ * its regular expressions and splitting its metricSchema each time, as the
+ * backend did before the index.
+ *
+ * --dump writes the payloads of the last flush, to check that changes to the
+ * rule matching don't change them.
+ */
+
+var fs = require('fs');
+var nri = require('../lib/newrelic-infra');
+var RuleIndex = require('../lib/rule-index');
+
+var options = { keys: 80000, rules: 40, flushes: 5, dump: null };
+for (var idx = 2; idx < process.argv.length; idx += 2) {
+  var name = process.argv[idx].replace(/^--/, '');
+  if (!options.hasOwnProperty(name) || idx + 1 >= process.argv.length) {
+    console.error('Usage: node benchmark/flush.js [--keys 80000] [--rules 40] [--flushes 5] [--dump file]');
+    process.exit(2);
+  }
+  options[name] = name === 'dump' ? process.argv[idx + 1] : Number(process.argv[idx + 1]);
+}
+
+// Deterministic pseudo random numbers, so every run uses the same keys.
+var seed = 42;
+var random = function(max) {
+  seed = seed * 16807 % 2147483647;
+  return seed % max;
+};
+
+// Most rules select the keys of an application, a few look for some metric
+// names anywhere and the last one uses a matchPattern.
+var buildRules = function(count) {
+  var rules = [];
+  for (var i = 0; i < count; i++) {
+    var rule = {
+      matchExpression: '^app' + i + '\\.',
+      metricSchema: '{app}.{service}.{host}.{metricName}',
+      entityType: 'Service',
+      entityName: '{app}:{host}',
+      eventType: 'App' + i + 'Sample'
+    };
+    if (i % 10 === 3) {
+      rule = Object.assign(rule, { matchExpression: '.*\\.errors' + i + '$', eventType: 'ErrorSample' });
+    } else if (i === count - 1) {
+      delete rule.matchExpression;
+      delete rule.metricSchema;
+      rule.matchPattern = '^app' + i + '\\.(?<service>[^.]+)\\.(?<host>[^.]+)\\.(?<metricName>.+)$';
+      rule.entityName = '{host}';
+    }
+    if (i % 4 === 0) {
+      rule.timerStats = ['count', 'mean', 'upper_*'];
+    }
+    rules.push(rule);
+  }
+  return rules;
+};
+
+var set = function(size) {
+  return { size: function() { return size; }, values: function() { return []; } };
+};
+
+var buildMetrics = function(keyCount, ruleCount) {
+  var metrics = { counters: {}, counter_rates: {}, gauges: {}, timer_data: {}, sets: {} };
+  for (var i = 0; i < keyCount; i++) {
+    var key = 'app' + random(ruleCount + 5) + '.service' + random(3) + '.host' + random(50) +
+      '.metric' + random(40) + (random(10) === 0 ? '.errors' + random(ruleCount) : '');
+    if (random(8) === 0) {
+      key += '#env:prod,zone:z' + random(3);
+    }
+    var type = random(20);
+    if (type < 10) {
+      metrics.counters[key] = random(1000);
+      metrics.counter_rates[key] = metrics.counters[key] / 10;
+    } else if (type < 15) {
+      metrics.gauges[key] = random(1000);
+    } else if (type < 19) {
+      metrics.timer_data[key] = {
+        count: 10, count_ps: 1, lower: 1, upper: 100, sum: 500, mean: 50, median: 45, std: 5,
+        count_90: 9, upper_90: 90, mean_90: 45, sum_90: 405
+      };
+    } else {
+      metrics.sets[key] = set(random(100));
+    }
+  }
+  return metrics;
+};
+
+var config = {
+  flushInterval: 10000,
+  newrelic: { rules: buildRules(options.rules), metricsLimit: 1000, overflowMode: 'split', logLevel: 'error' }
+};
+var metrics = buildMetrics(options.keys, options.rules);
+var payloads = [];
+var trace = {
+  matched: function() {},
+  unmatched: function() {},
+  schemaRejected: function() {},
+  overLimit: function() {},
+  payload: function(destination, payload) { payloads.push(payload); }
+};
+
+// Replaces the rule index with the evaluation of every rule, without caches.
+var useBaseline = function() {
+  var CompiledRule = RuleIndex.CompiledRule;
+  RuleIndex.prototype.candidates = function() {
+    return this.rules;
+  };
+  CompiledRule.prototype.matches = function(key) {
+    var rule = this.rule;
+    return (rule.matchExpression === undefined || new RegExp(rule.matchExpression).test(key)) &&
+      (rule.excludeExpression === undefined || !new RegExp(rule.excludeExpression).test(key));
+  };
+  CompiledRule.prototype.schemaFields = function(key) {
+    this.schema = this.rule.metricSchema.split('.').map(function(element) {
+      var field = element.match(/{([^}]*).*/);
+      return field === null ? null : field[1];
+    });
+    return this.extractFields(key);
+  };
+};
+
+// Returns the times of the flushes, in milliseconds.
+var measure = function() {
+  var times = [];
+  for (var flush = 0; flush < options.flushes; flush++) {
+    payloads = [];
+    var start = process.hrtime();
+    backend.preview(12345, metrics, trace);
+    var elapsed = process.hrtime(start);
+    times.push(elapsed[0] * 1000 + elapsed[1] / 1e6);
+  }
+  return times;
+};
+
+// Prints the times and returns the mean of the flushes after the first one,
+// which also compiles and caches the rules.
+var report = function(title, times) {
+  console.log(title + ':');
+  times.forEach(function(time, idx) {
+    console.log('  Flush ' + (idx + 1) + ': ' + time.toFixed(1) + ' ms');
+  });
+  var warm = times.length > 1 ? times.slice(1) : times;
+  var mean = warm.reduce(function(a, b) { return a + b; }, 0) / warm.length;
+  console.log('  Mean of the flushes after the first: ' + mean.toFixed(1) + ' ms');
+  return mean;
+};
+
+var backend = nri.createBackend(Math.round(Date.now() / 1000), config, { log: function() {} });
+var keys = Object.keys(metrics).reduce(function(total, type) {
+  return type === 'counter_rates' ? total : total + Object.keys(metrics[type]).length;
+}, 0);
+console.log(keys + ' keys, ' + options.rules + ' rules');
+
+var indexed = report('Rule index', measure());
+var indexedPayloads = JSON.stringify(payloads);
+useBaseline();
+var baseline = report('Baseline', measure());
+console.log('The rule index is ' + (baseline / indexed).toFixed(1) + ' times faster than the baseline');
+if (JSON.stringify(payloads) !== indexedPayloads) {
+  console.error('The payloads of the baseline are different');
+  process.exitCode = 1;
+}
+if (options.dump) {
+  fs.writeFileSync(options.dump, indexedPayloads);
+}
@@ -0,0 +1,158 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Limits of the tags every rule turns into labels and entities, so a client
+ * sending unique values as tags (request ids, timestamps) can't create an
+ * unbounded number of samples.
+ *
+ * Rules configure them with a 'tags' object:
+ *
+ *   allow: Tag keys kept, as in ['region', 'host']. Keys can use '*'
+ *          wildcards. Other tags are ignored.
+ *   deny: Tag keys ignored. It can't be used together with allow.
+ *   promote: Tag keys used as fields of the sample instead of labels, so
+ *            entityName, entityType and labels can use them ('{host}').
+ *            Missing tags are empty.
+ *   maxValues: Maximum number of distinct values of every tag key, or an
+ *              object with the maximum of some keys.
+ *   maxSeries: Maximum number of distinct tag combinations.
+ *   overflow: What to do with the series over a limit: 'other' (default)
+ *             collapses them, replacing the values over maxValues (or all the
+ *             values, over maxSeries) with 'other'. 'drop' ignores them.
+ *
+ * The values and combinations seen in a flush keep their place in the next
+ * one, so the same series are kept while they are reported. The rest are
+ * forgotten.
+ */
+
+var ruleUtils = require('./rules');
+
+var OTHER = 'other';
+
+// Sets of the values admitted in this and in the previous flush.
+var newSet = function newSet() {
+  return { admitted: {}, seen: {}, size: 0 };
+};
+
+var carryOver = function carryOver(set) {
+  var size = Object.keys(set.seen).length;
+  return { admitted: set.seen, seen: {}, size: size };
+};
+
+// Whether the value fits in the set under the limit, adding it when it does.
+var admit = function admit(set, value, limit) {
+  if (!set.admitted.hasOwnProperty(value)) {
+    if (limit !== undefined && set.size >= limit) {
+      return false;
+    }
+    set.admitted[value] = true;
+    set.size++;
+  }
+  set.seen[value] = true;
+  return true;
+};
+
+var matchesAny = function matchesAny(globs, key) {
+  return globs.some(function(glob) {
+    return ruleUtils.matchesGlob(glob, key);
+  });
+};
+
+var maxValues = function maxValues(options, key) {
+  if (typeof options.maxValues === 'number') {
+    return options.maxValues;
+  }
+  return (options.maxValues || {})[key];
+};
+
+var CardinalityLimiter = function CardinalityLimiter() {
+  this.reset();
+};
+
+// Forgets the series of every rule, as when the rules change.
+CardinalityLimiter.prototype.reset = function reset() {
+  this.rules = {};
+  this.startFlush();
+};
+
+// Called before the keys of every flush. collapsedSeries and droppedSeries
+// count the series over the limits in the flush.
+CardinalityLimiter.prototype.startFlush = function startFlush() {
+  var rules = this.rules;
+  Object.keys(rules).forEach(function(ruleId) {
+    var state = rules[ruleId];
+    state.series = carryOver(state.series);
+    Object.keys(state.values).forEach(function(key) {
+      state.values[key] = carryOver(state.values[key]);
+    });
+    state.decisions = {};
+  });
+  this.collapsedSeries = 0;
+  this.droppedSeries = 0;
+};
+
+// Applies the tag options of a rule to the tags of a key. ruleId identifies
+// the rule, as its position. Returns the labels and the promoted fields of
+// the series, and whether it was collapsed with others, or null when it's
+// dropped. The result of a series is kept for the rest of the flush.
+CardinalityLimiter.prototype.limit = function limit(rule, ruleId, tags) {
+  var options = rule.tags;
+  if (options === undefined) {
+    return { labels: tags, fields: {}, collapsed: false };
+  }
+  if (!this.rules.hasOwnProperty(ruleId)) {
+    this.rules[ruleId] = { series: newSet(), values: {}, decisions: {} };
+  }
+  var state = this.rules[ruleId];
+  var id = JSON.stringify(tags);
+  if (state.decisions.hasOwnProperty(id)) {
+    return state.decisions[id];
+  }
+
+  var kept = {};
+  Object.keys(tags).forEach(function(key) {
+    if (options.allow !== undefined ? matchesAny(options.allow, key) : !matchesAny(options.deny || [], key)) {
+      kept[key] = tags[key];
+    }
+  });
+  var collapsed = false;
+  var dropped = false;
+  Object.keys(kept).forEach(function(key) {
+    state.values[key] = state.values[key] || newSet();
+    if (!admit(state.values[key], kept[key], maxValues(options, key))) {
+      kept[key] = OTHER;
+      collapsed = true;
+    }
+  });
+  if (!collapsed && !admit(state.series, JSON.stringify(kept), options.maxSeries)) {
+    Object.keys(kept).forEach(function(key) {
+      kept[key] = OTHER;
+    });
+    collapsed = true;
+  }
+  if (collapsed && options.overflow === 'drop') {
+    dropped = true;
+  }
+
+  var result = null;
+  if (dropped) {
+    this.droppedSeries++;
+  } else {
+    if (collapsed) {
+      this.collapsedSeries++;
+    }
+    result = { labels: {}, fields: {}, collapsed: collapsed };
+    (options.promote || []).forEach(function(key) {
+      result.fields[key] = kept.hasOwnProperty(key) ? kept[key] : '';
+    });
+    Object.keys(kept).forEach(function(key) {
+      if (!result.fields.hasOwnProperty(key)) {
+        result.labels[key] = kept[key];
+      }
+    });
+  }
+  state.decisions[id] = result;
+  return result;
+};
+
+module.exports = CardinalityLimiter;
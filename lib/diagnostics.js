@@ -0,0 +1,233 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Diagnostics of the keys that don't reach New Relic, without the noise of the
+ * StatsD debug mode. It keeps the keys that no rule matched and the keys that
+ * matched a rule but have less elements than its metricSchema, along with the
+ * rule each key nearly matched and why it didn't.
+ *
+ * Supported options:
+ *
+ *   topKeys: Number of keys in the summaries and in the status command,
+ *            the ones seen in more flushes first. Defaults to 10.
+ *   maxKeys: Maximum number of distinct keys kept of every kind. Further keys
+ *            are only counted. Defaults to 1000.
+ *   intervalSeconds: Minimum time between two summaries in the log.
+ *                    Defaults to 300.
+ *
+ */
+
+var ruleUtils = require('./rules');
+
+var commonPrefixLength = function commonPrefixLength(a, b) {
+  var length = 0;
+  while (length < a.length && length < b.length && a.charAt(length) === b.charAt(length)) {
+    length++;
+  }
+  return length;
+};
+
+var describeRule = function describeRule(rule, index) {
+  return {
+    rule: index >= 0 ? index : 'defaultRule',
+    expression: rule.matchExpression !== undefined ? rule.matchExpression : rule.matchPattern
+  };
+};
+
+// Finds the rule that came closest to matching a key. keys are the names the
+// rules were evaluated with, as the metric name followed by 'PerSecond' for
+// counters. A rule whose expression matches one of them is the nearest,
+// otherwise the one sharing the longest literal prefix with the metric name.
+// tags are the tags of the key, for the matchTags of the rules. indexes are
+// the positions of the rules in the configuration, when some were disabled.
+var nearestRule = function nearestRule(metricName, keys, metricType, rules, tags, indexes) {
+  var nearest = null;
+  var longestPrefix = 0;
+  rules.some(function(rule, position) {
+    var idx = indexes ? indexes[position] : position;
+    var matching = keys.filter(function(key) {
+      if (rule.matchExpression === undefined) {
+        return ruleUtils.extractPatternFields(metricName, rule.matchPattern) !== null;
+      }
+      return new RegExp(rule.matchExpression).test(key);
+    });
+    if (matching.length === 0) {
+      var prefix = commonPrefixLength(metricName, ruleUtils.literalPrefix(rule.matchExpression || rule.matchPattern));
+      if (prefix > longestPrefix) {
+        longestPrefix = prefix;
+        nearest = Object.assign(describeRule(rule, idx), { reason: 'shares the prefix ' + metricName.slice(0, prefix) + ' with the rule' });
+      }
+      return false;
+    }
+
+    var reason;
+    if (rule.excludeExpression !== undefined && matching.every(function(key) { return new RegExp(rule.excludeExpression).test(key); })) {
+      reason = 'excluded by excludeExpression ' + rule.excludeExpression;
+    } else if (!ruleUtils.appliesTo(rule, metricType)) {
+      reason = metricType + ' are not in metricTypes';
+    } else if (!ruleUtils.matchesTags(rule, tags || {})) {
+      reason = 'tags ' + JSON.stringify(tags || {}) + ' don\'t meet matchTags';
+    } else if (rule.matchPattern !== undefined && ruleUtils.extractPatternFields(metricName, rule.matchPattern) === null) {
+      reason = 'doesn\'t match matchPattern ' + rule.matchPattern;
+    } else if (rule.metricSchema !== undefined && metricName.split('.').length < rule.metricSchema.split('.').length) {
+      reason = 'has less elements than metricSchema ' + rule.metricSchema;
+    } else {
+      reason = 'no value selected by counterValues or timerStats';
+    }
+    nearest = Object.assign(describeRule(rule, idx), { reason: reason });
+    return true;
+  });
+  return nearest;
+};
+
+var Diagnostics = function Diagnostics(options) {
+  options = options || {};
+  this.topKeys = Number(options.topKeys || 10);
+  this.maxKeys = Number(options.maxKeys || 1000);
+  this.interval = Number(options.intervalSeconds || 300) * 1000;
+  this.lastSummary = Date.now();
+  this.reset();
+};
+
+// Forgets the keys, as when the rules change and the nearest rules with them.
+Diagnostics.prototype.reset = function reset() {
+  this.unmatchedKeys = {};
+  this.rejectedKeys = {};
+  this.untrackedUnmatched = 0;
+  this.untrackedRejected = 0;
+  this.startFlush();
+};
+
+// Called before the keys of every flush, so each key counts once per flush
+// even when it's seen with different tags or timer statistics.
+Diagnostics.prototype.startFlush = function startFlush() {
+  this.seenUnmatched = {};
+  this.seenRejected = {};
+};
+
+// Counts a key already kept or seen in this flush. Returns false when the key
+// is new.
+var count = function count(keys, seen, id) {
+  if (seen.hasOwnProperty(id)) {
+    return true;
+  }
+  seen[id] = true;
+  if (keys.hasOwnProperty(id)) {
+    keys[id].count++;
+    return true;
+  }
+  return false;
+};
+
+// Keys are kept apart for every destination, since each one has its own rules.
+var keyId = function keyId(key, destination) {
+  return destination === undefined ? key : destination + ' ' + key;
+};
+
+// Records a metric name, without tags, that no rule matched. The nearest rule
+// is only looked for the first time the name is seen. destination is the name
+// of the destination whose rules didn't match, when there are several. tags
+// are the tags of the key the name was first seen with, and indexes the
+// positions of the rules in the configuration (see nearestRule).
+Diagnostics.prototype.unmatched = function unmatched(metricName, keys, metricType, rules, destination, tags, indexes) {
+  var id = keyId(metricName, destination);
+  if (count(this.unmatchedKeys, this.seenUnmatched, id)) {
+    return;
+  }
+  if (Object.keys(this.unmatchedKeys).length < this.maxKeys) {
+    this.unmatchedKeys[id] = {
+      key: metricName,
+      destination: destination,
+      count: 1,
+      nearest: nearestRule(metricName, keys, metricType, rules, tags, indexes)
+    };
+  } else {
+    this.untrackedUnmatched++;
+  }
+};
+
+// Records a key rejected because it has less elements than the metricSchema of
+// the rule matching it. index is the position of the rule, -1 for the
+// defaultRule.
+Diagnostics.prototype.schemaRejected = function schemaRejected(key, rule, index, destination) {
+  var id = keyId(key, destination);
+  if (count(this.rejectedKeys, this.seenRejected, id)) {
+    return;
+  }
+  if (Object.keys(this.rejectedKeys).length < this.maxKeys) {
+    this.rejectedKeys[id] = {
+      key: key,
+      destination: destination,
+      count: 1,
+      nearest: Object.assign(describeRule(rule, index), { reason: 'has less elements than metricSchema ' + rule.metricSchema })
+    };
+  } else {
+    this.untrackedRejected++;
+  }
+};
+
+var topKeys = function topKeys(keys, limit) {
+  return Object.keys(keys).sort(function(a, b) {
+    return (keys[b].count - keys[a].count) || (a < b ? -1 : 1);
+  }).slice(0, limit).map(function(id) {
+    var entry = { key: keys[id].key, count: keys[id].count };
+    if (keys[id].destination !== undefined) {
+      entry.destination = keys[id].destination;
+    }
+    return Object.assign(entry, keys[id].nearest);
+  });
+};
+
+// The most frequent keys of every kind. count is the number of flushes in
+// which the key was seen. untrackedKeys counts, once per flush, the keys that
+// weren't kept because of maxKeys.
+Diagnostics.prototype.report = function report() {
+  return {
+    unmatchedKeys: topKeys(this.unmatchedKeys, this.topKeys),
+    schemaRejectedKeys: topKeys(this.rejectedKeys, this.topKeys),
+    untrackedKeys: this.untrackedUnmatched + this.untrackedRejected
+  };
+};
+
+var formatEntries = function formatEntries(entries) {
+  return entries.map(function(entry) {
+    var text = entry.key + ' (' + entry.count + ' flushes';
+    if (entry.destination !== undefined) {
+      text += ', destination ' + entry.destination;
+    }
+    if (entry.rule !== undefined) {
+      text += ', rule ' + entry.rule + ' ' + entry.expression + ': ' + entry.reason;
+    }
+    return text + ')';
+  }).join(', ');
+};
+
+// Returns the text of a summary when the interval since the previous one has
+// elapsed and there is something to report, or null otherwise.
+Diagnostics.prototype.summary = function summary(now) {
+  now = now || Date.now();
+  if (now - this.lastSummary < this.interval) {
+    return null;
+  }
+  this.lastSummary = now;
+  var report = this.report();
+  if (report.unmatchedKeys.length === 0 && report.schemaRejectedKeys.length === 0) {
+    return null;
+  }
+  var text = Object.keys(this.unmatchedKeys).length + ' keys not matched by any rule';
+  if (report.unmatchedKeys.length > 0) {
+    text += '. Top keys: ' + formatEntries(report.unmatchedKeys);
+  }
+  text += '. ' + Object.keys(this.rejectedKeys).length + ' keys with less elements than the metricSchema of their rule';
+  if (report.schemaRejectedKeys.length > 0) {
+    text += '. Top keys: ' + formatEntries(report.schemaRejectedKeys);
+  }
+  if (report.untrackedKeys > 0) {
+    text += '. Keys seen after reaching maxKeys: ' + report.untrackedKeys;
+  }
+  return text + '.';
+};
+
+Diagnostics.nearestRule = nearestRule;
+
+module.exports = Diagnostics;
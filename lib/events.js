@@ -0,0 +1,151 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Infrastructure events and inventory built from the samples of the rules.
+ *
+ * Rules declare the events they produce in an 'events' list. Every event
+ * watches an attribute of the samples of the rule and is sent when:
+ *
+ *   above / below: the value crosses the threshold. It's sent again only after
+ *                  the value goes back under (or over) the threshold.
+ *   changed: the value is different from the one of the previous flush.
+ *
+ * The event has the 'summary' and 'category' of its definition and the schema
+ * fields and labels of the sample. Summaries can use the attributes of the
+ * sample and {attribute}, {value}, {previous} and {threshold}.
+ *
+ * Rules also map attributes to inventory items with 'inventory', an object
+ * from item names to attribute names. Those attributes are sent as the 'value'
+ * of the item instead of as metrics.
+ *
+ * Changes and inventory items take as the value of a set attribute
+ * ('deploy.version.count') the list of its members, separated by commas,
+ * instead of its count.
+ */
+
+var DEFAULT_CATEGORY = 'notifications';
+
+// Values of the attributes compared by the changed events and sent as
+// inventory.
+var attributeValue = function attributeValue(values, types, attribute) {
+  var type = types[attribute];
+  if (type && type.members !== undefined) {
+    return type.members.slice().sort().join(',');
+  }
+  return values[attribute];
+};
+
+var formatSummary = function formatSummary(tpl, variables) {
+  return tpl.replace(/{([^}]+)}/g, function(placeholder, name) {
+    return variables.hasOwnProperty(name) ? String(variables[name]) : placeholder;
+  });
+};
+
+var defaultSummary = function defaultSummary(definition) {
+  if (definition.changed) {
+    return '{attribute} changed from {previous} to {value}';
+  }
+  return '{attribute} is ' + (definition.above !== undefined ? 'above' : 'below') + ' {threshold}';
+};
+
+// Whether the condition of an event holds. previous is the value of the
+// previous flush, undefined for new samples.
+var triggered = function triggered(definition, value, previous) {
+  if (definition.changed) {
+    return previous !== undefined && value !== previous;
+  }
+  if (typeof value !== 'number') {
+    return false;
+  }
+  return definition.above !== undefined ? value > definition.above : value < definition.below;
+};
+
+// Keeps the value every event definition saw in the previous flush, for every
+// sample, so thresholds are only reported when they are crossed. Every
+// destination has its own tracker.
+var EventTracker = function EventTracker() {
+  this.previous = {};
+};
+
+// Adds to the entries of the collected data the events of their rules, as
+// built by collectMetrics. Returns the number of events.
+EventTracker.prototype.evaluate = function evaluate(data) {
+  var previous = this.previous;
+  var current = {};
+  var count = 0;
+  Object.keys(data).forEach(function(entityId) {
+    var entry = data[entityId];
+    entry.events = entry.events || [];
+    Object.keys(entry.rules).forEach(function(eventType) {
+      var values = entry.metrics[eventType];
+      var types = entry.types[eventType];
+      var dimensions = entry.dimensions[eventType];
+      entry.rules[eventType].forEach(function(rule) {
+        (rule.events || []).forEach(function(definition) {
+          if (!values.hasOwnProperty(definition.attribute)) {
+            return;
+          }
+          var id = JSON.stringify([entityId, eventType, definition]);
+          var value = definition.changed ? attributeValue(values, types, definition.attribute) : values[definition.attribute];
+          var state = { value: value, triggered: triggered(definition, value, (previous[id] || {}).value) };
+          current[id] = state;
+          // Thresholds are reported when they are crossed, changes every time.
+          if (!state.triggered || (!definition.changed && previous[id] && previous[id].triggered)) {
+            return;
+          }
+          var event = {
+            summary: formatSummary(definition.summary || defaultSummary(definition), Object.assign({}, values, {
+              attribute: definition.attribute,
+              value: value,
+              previous: (previous[id] || {}).value,
+              threshold: definition.above !== undefined ? definition.above : definition.below
+            })),
+            category: definition.category || DEFAULT_CATEGORY
+          };
+          Object.keys(dimensions).forEach(function(name) {
+            event[name] = values[name];
+          });
+          entry.events.push(event);
+          count++;
+        });
+      });
+    });
+  });
+  // Samples that weren't seen in this flush start over.
+  this.previous = current;
+  return count;
+};
+
+// Moves to the inventory of the entries the attributes mapped by their rules,
+// removing them from the samples. Samples left without metrics are removed.
+EventTracker.inventory = function inventory(data) {
+  Object.keys(data).forEach(function(entityId) {
+    var entry = data[entityId];
+    entry.inventory = entry.inventory || {};
+    Object.keys(entry.rules).forEach(function(eventType) {
+      var values = entry.metrics[eventType];
+      var types = entry.types[eventType];
+      var dimensions = entry.dimensions[eventType];
+      var moved = false;
+      entry.rules[eventType].forEach(function(rule) {
+        Object.keys(rule.inventory || {}).forEach(function(item) {
+          var attribute = rule.inventory[item];
+          if (values.hasOwnProperty(attribute)) {
+            entry.inventory[item] = { value: attributeValue(values, types, attribute) };
+            delete values[attribute];
+            moved = true;
+          }
+        });
+      });
+      var metrics = Object.keys(values).filter(function(name) {
+        return !dimensions[name];
+      });
+      if (moved && metrics.length === 0) {
+        delete entry.metrics[eventType];
+      }
+    });
+  });
+  return data;
+};
+
+module.exports = EventTracker;
@@ -0,0 +1,157 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Arithmetic expressions for the derived metrics of the rules, as in
+ * 'hits / (hits + misses) * 100'.
+ *
+ * Expressions support numbers, the + - * / operators, parentheses and
+ * references to attributes of the sample. Attribute names can contain dots
+ * ('my_timer.sum'); names with any other character are written between
+ * braces ('{my-counter}').
+ */
+
+var TOKEN_RE = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([A-Za-z_$][\w$.]*)|\{([^}]+)\}|([-+*\/()]))/g;
+
+var compiled = {};
+
+var tokenize = function tokenize(expression) {
+  var tokens = [];
+  var match;
+  var position = 0;
+  TOKEN_RE.lastIndex = 0;
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) {
+      break;
+    }
+    match = TOKEN_RE.exec(expression);
+    if (match === null || match.index !== position) {
+      throw new SyntaxError('Unexpected character at position ' + position + ' in ' + expression);
+    }
+    position = TOKEN_RE.lastIndex;
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[1]) });
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      tokens.push({ type: 'attribute', value: match[2] !== undefined ? match[2] : match[3] });
+    } else {
+      tokens.push({ type: 'operator', value: match[4] });
+    }
+  }
+  return tokens;
+};
+
+// Recursive descent parser producing a tree of nodes:
+// { type: 'number', value }, { type: 'attribute', value },
+// { type: 'negate', operand } and { type: 'operator', value, left, right }.
+var parse = function parse(expression) {
+  var tokens = tokenize(expression);
+  var idx = 0;
+
+  var peek = function() {
+    return tokens[idx];
+  };
+  var isOperator = function(token, values) {
+    return token !== undefined && token.type === 'operator' && values.indexOf(token.value) >= 0;
+  };
+  var unexpected = function() {
+    var token = peek();
+    return new SyntaxError(token === undefined ?
+      'Unexpected end of expression ' + expression :
+      'Unexpected ' + token.value + ' in expression ' + expression);
+  };
+
+  var parsePrimary, parseUnary, parseTerm, parseSum;
+
+  parsePrimary = function() {
+    var token = peek();
+    if (token === undefined) {
+      throw unexpected();
+    }
+    if (token.type === 'number' || token.type === 'attribute') {
+      idx++;
+      return token;
+    }
+    if (isOperator(token, ['('])) {
+      idx++;
+      var node = parseSum();
+      if (!isOperator(peek(), [')'])) {
+        throw unexpected();
+      }
+      idx++;
+      return node;
+    }
+    throw unexpected();
+  };
+  parseUnary = function() {
+    if (isOperator(peek(), ['-', '+'])) {
+      var operator = tokens[idx++].value;
+      var operand = parseUnary();
+      return operator === '-' ? { type: 'negate', operand: operand } : operand;
+    }
+    return parsePrimary();
+  };
+  parseTerm = function() {
+    var node = parseUnary();
+    while (isOperator(peek(), ['*', '/'])) {
+      node = { type: 'operator', value: tokens[idx++].value, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  parseSum = function() {
+    var node = parseTerm();
+    while (isOperator(peek(), ['+', '-'])) {
+      node = { type: 'operator', value: tokens[idx++].value, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  var tree = parseSum();
+  if (idx < tokens.length) {
+    throw unexpected();
+  }
+  return tree;
+};
+
+// Returns the result, or undefined when an attribute is missing or isn't a
+// finite number, or when there is a division by zero.
+var evaluate = function evaluate(node, values) {
+  var left, right;
+  switch (node.type) {
+  case 'number':
+    return node.value;
+  case 'attribute':
+    var value = values[node.value];
+    return (typeof value === 'number' && isFinite(value)) ? value : undefined;
+  case 'negate':
+    left = evaluate(node.operand, values);
+    return left === undefined ? undefined : -left;
+  default:
+    left = evaluate(node.left, values);
+    right = evaluate(node.right, values);
+    if (left === undefined || right === undefined) {
+      return undefined;
+    }
+    switch (node.value) {
+    case '+':
+      return left + right;
+    case '-':
+      return left - right;
+    case '*':
+      return left * right;
+    default:
+      return right === 0 ? undefined : left / right;
+    }
+  }
+};
+
+// Parses an expression, throwing a SyntaxError when it isn't valid. Parsed
+// expressions are cached.
+exports.compile = function compile(expression) {
+  if (!compiled.hasOwnProperty(expression)) {
+    compiled[expression] = parse(expression);
+  }
+  return compiled[expression];
+};
+
+exports.evaluate = function evaluateExpression(expression, values) {
+  return evaluate(exports.compile(expression), values);
+};
@@ -0,0 +1,44 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Leveled logging on top of the StatsD logger.
+ *
+ * Supported levels, from the most to the least severe: 'error', 'warn', 'info'
+ * and 'debug'. Messages less severe than the configured level are discarded.
+ * The level is passed to the StatsD logger as the message type, using the
+ * syslog names it expects (the syslog backend logs with LOG_<type>). util,
+ * used when StatsD gives no logger, prints the type before the message
+ * instead, as its log takes no type.
+ */
+
+var util = require('util');
+
+var LEVELS = ['error', 'warn', 'info', 'debug'];
+var TYPES = { error: 'ERR', warn: 'WARNING', info: 'INFO', debug: 'DEBUG' };
+
+var Logger = function Logger(logger, level) {
+  this.logger = logger;
+  this.level = LEVELS.indexOf(level) >= 0 ? level : 'info';
+};
+
+Logger.levels = LEVELS;
+
+// Whether messages of the level are logged, to skip building expensive ones.
+Logger.prototype.enabled = function enabled(level) {
+  return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+};
+
+LEVELS.forEach(function(level) {
+  Logger.prototype[level] = function(message) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    if (this.logger === util) {
+      this.logger.log(TYPES[level] + ': ' + message);
+    } else {
+      this.logger.log(message, TYPES[level]);
+    }
+  };
+});
+
+module.exports = Logger;
@@ -0,0 +1,140 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Payloads for the New Relic Metric API, used by the destinations with the
+ * 'metricApi' output instead of the Infrastructure Agent.
+ *
+ * Every attribute of the samples built from the rules becomes a dimensional
+ * metric with the schema fields and labels of its sample as attributes:
+ *
+ *   counters: count metrics over the flush interval. Counter rates are sent
+ *             as gauges.
+ *   timers: summary metrics when the count, sum, lower and upper statistics
+ *           of the timer are selected. Other statistics are sent as gauges.
+ *   gauges, sets and derived attributes: gauges.
+ *
+ * See https://docs.newrelic.com/docs/data-apis/ingest-apis/metric-api/
+ */
+
+var PayloadParts = require('./payload-parts');
+
+var DEFAULT_URL = 'https://metric-api.newrelic.com/metric/v1';
+// Uncompressed size limit of a request, so it's always under the limit of the
+// API for compressed requests.
+var MAX_PAYLOAD_BYTES = 1000000;
+
+// Timer statistics making up a summary metric.
+var SUMMARY_FIELDS = {
+  '.count': 'count',
+  '.sum': 'sum',
+  '.lower': 'min',
+  '.upper': 'max'
+};
+
+var isNumber = function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+};
+
+// Builds the metrics of a sample. values are the attributes of the sample,
+// dimensions the ones describing it and types the StatsD type of every
+// attribute built from a metric, as collected by the backend.
+var sampleMetrics = function sampleMetrics(values, dimensions, types, attributes) {
+  var metrics = [];
+  var summaries = {};
+
+  Object.keys(values).forEach(function(name) {
+    if (dimensions[name] || !isNumber(values[name])) {
+      return;
+    }
+    var type = types[name] || {};
+    if (type.metricType === 'counters' && type.suffix === '') {
+      metrics.push({ name: name, type: 'count', value: values[name], attributes: attributes });
+    } else if (type.metricType === 'timers' && type.metric !== null && SUMMARY_FIELDS[type.suffix]) {
+      summaries[type.metric] = summaries[type.metric] || {};
+      summaries[type.metric][name] = SUMMARY_FIELDS[type.suffix];
+    } else {
+      metrics.push({ name: name, type: 'gauge', value: values[name], attributes: attributes });
+    }
+  });
+
+  // Timers without the four statistics of a summary are sent as gauges.
+  Object.keys(summaries).forEach(function(metric) {
+    var fields = summaries[metric];
+    var summary = {};
+    Object.keys(fields).forEach(function(name) {
+      summary[fields[name]] = values[name];
+    });
+    if (Object.keys(summary).length === 4) {
+      metrics.push({ name: metric, type: 'summary', value: summary, attributes: attributes });
+      return;
+    }
+    Object.keys(fields).forEach(function(name) {
+      metrics.push({ name: name, type: 'gauge', value: values[name], attributes: attributes });
+    });
+  });
+  return metrics;
+};
+
+// Converts the samples collected by the backend into a Metric API payload.
+// timestamp is the time of the flush in seconds and intervalMs the flush
+// interval, which is the interval of the count and summary metrics.
+// globalLabels are the common attributes of every metric, which the
+// attributes of the metrics override.
+exports.composePayload = function composePayload(data, timestamp, intervalMs, globalLabels) {
+  var metrics = [];
+  Object.keys(data).forEach(function(entityId) {
+    var entry = data[entityId];
+    Object.keys(entry.metrics).forEach(function(eventType) {
+      var values = entry.metrics[eventType];
+      var dimensions = (entry.dimensions || {})[eventType] || {};
+      var attributes = {
+        eventType: eventType,
+        entityName: entry.entity.name,
+        entityType: entry.entity.type
+      };
+      Object.keys(dimensions).forEach(function(name) {
+        attributes[name] = values[name];
+      });
+      var types = (entry.types || {})[eventType] || {};
+      Array.prototype.push.apply(metrics, sampleMetrics(values, dimensions, types, attributes));
+    });
+  });
+
+  var common = { timestamp: timestamp * 1000, 'interval.ms': intervalMs };
+  if (globalLabels && Object.keys(globalLabels).length > 0) {
+    common.attributes = Object.assign({}, globalLabels);
+  }
+  return [{ common: common, metrics: metrics }];
+};
+
+// Splits a payload into several ones whose JSON is smaller than maxBytes.
+// A single metric bigger than maxBytes is sent in a payload of its own.
+exports.splitPayload = function splitPayload(payload, maxBytes) {
+  maxBytes = maxBytes || MAX_PAYLOAD_BYTES;
+  if (PayloadParts.size(payload) <= maxBytes) {
+    return [payload];
+  }
+
+  var parts = new PayloadParts(maxBytes);
+  payload.forEach(function(batch) {
+    var current = null;
+    batch.metrics.forEach(function(metric) {
+      var metricSize = PayloadParts.size(metric);
+      if (current === null || (!parts.fits(metricSize) && current[0].metrics.length > 0)) {
+        current = parts.start([{ common: batch.common, metrics: [] }]);
+      }
+      parts.add(current[0].metrics, metric, metricSize);
+    });
+  });
+  return parts.payloads;
+};
+
+// Whether the payload has anything to send.
+exports.isEmpty = function isEmpty(payload) {
+  return payload.every(function(batch) {
+    return batch.metrics.length === 0;
+  });
+};
+
+exports.DEFAULT_URL = DEFAULT_URL;
+exports.MAX_PAYLOAD_BYTES = MAX_PAYLOAD_BYTES;
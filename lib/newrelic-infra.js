@@ -11,8 +11,84 @@
  * This backend supports the following config options in 'newrelic' key:
  *
  *   port: Port where Infrastructure Agent is listening. Defaults to '8001'.
+ *   scheme: 'http' (default) or 'https'.
+ *   tls: Files with the 'ca', client 'cert' and 'key', 'passphrase' and
+ *        'rejectUnauthorized' for https.
+ *   socketPath: Unix domain socket where the agent listens, used instead of
+ *               the host and port.
+ *   path: Path of the requests. Defaults to '/v1/data'.
+ *   headers: Extra headers of the requests, such as the authorization of a
+ *            proxy in front of the agent.
+ *   gzip: Compress the payloads. Defaults to false.
+ *   requestTimeoutSeconds: Time to wait for the response to a request.
+ *                          Defaults to 1, or 10 with the metricApi output.
+ *   failover: Hosts tried in order when the agent refuses the connection or
+ *             answers with HTTP 5xx, as 'host:port' strings or objects with
+ *             host and port.
+ *   output: 'infrastructure' (default) sends samples to the Infrastructure
+ *           Agent, 'metricApi' sends dimensional metrics to the New Relic
+ *           Metric API at 'url' with the 'apiKey'. See lib/metric-api.js.
+ *   destinations: Several agents the metrics are sent to. Every destination
+ *                 takes the options it doesn't set from this section, except
+ *                 the rules: destinations without 'rules' use the rules of
+ *                 this section, including the ones of 'rulesFile'. The
+ *                 StatsdBackendSample is only sent to the first destination.
+ *   protocolVersion: Version of the Infrastructure integration protocol used
+ *                    for the payloads, 1 or 2. Protocol v2 reports every
+ *                    rule entity as its own entity. Defaults to 1.
+ *   tagFormat: Syntax of the tags in the metric names: 'dogstatsd' (default),
+ *              'influxdb', 'graphite', 'signalfx' or 'auto'. See lib/tags.js.
+ *   overflowMode: What to do with the events having more metrics than
+ *                 metricsLimit: 'drop' them (default) or 'split' them in
+ *                 several samples of the same event type.
+ *   maxPayloadBytes: When set, payloads bigger than this size are split in
+ *                    several HTTP requests.
+ *   sendInterval: Milliseconds between the payloads, when they are sent less
+ *                 often than StatsD flushes. The metrics of the flushes in
+ *                 between are rolled up, see lib/rollup.js, and the ones left
+ *                 are sent on SIGINT and SIGTERM. Defaults to the StatsD
+ *                 flushInterval.
+ *   sendBackendSample: Send every flush a StatsdBackendSample with the
+ *                      activity of the backend. Defaults to false.
+ *   retry: Optional settings for the queue where payloads that couldn't be
+ *          delivered (HTTP 5xx and 429, connection errors and timeouts) are
+ *          kept and retried with an exponential backoff, waiting the
+ *          Retry-After of rate limited ones. See lib/retry-queue.js for the
+ *          supported limits, drop policy and the optional spool directory.
+ *          Payloads are not retried when this key is missing, except the
+ *          ones of the metricApi output, which use the default settings
+ *          unless it's false.
  *   rules: A list of rules to convert StatsD metrics and compose New Relic
- *          Infrastructure payloads.
+ *          Infrastructure payloads. Rules with configuration errors are
+ *          disabled. Instead of 'matchExpression' and 'metricSchema', a
+ *          rule can use a 'matchPattern' with named capture groups, and
+ *          'matchTags' selects keys by their tags. The names and labels of
+ *          the rules are templates, see lib/templates.js. Rules can also
+ *          send events and inventory, see lib/events.js, and limit their
+ *          tags, see lib/cardinality.js.
+ *   rulesFile: JSON file or JS module with the rules, used instead of the
+ *              'rules' key. The file is watched and its rules are reloaded
+ *              when it changes and they are valid.
+ *   rulesFileIntervalSeconds: How often the rules file is checked for
+ *                             changes. Defaults to 5.
+ *   matchMode: 'all' (default) evaluates every key with all the rules, 'first'
+ *              stops at the first rule matching the key.
+ *   defaultRule: Optional rule for the keys that no rule matched. It matches
+ *                every key when it has no 'matchExpression'.
+ *   strict: Don't start the backend when any rule or option has configuration
+ *           errors.
+ *   logLevel: 'error', 'warn', 'info' or 'debug'. Defaults to 'debug' when the
+ *             StatsD 'debug' option is enabled and to 'info' otherwise.
+ *   diagnostics: Keep the keys that didn't reach New Relic, with the rule they
+ *                nearly matched, for the status command and a periodic
+ *                summary in the log. See lib/diagnostics.js for the options.
+ *   globalLabels: Labels added to every sample, as { region: '${env:REGION}' }.
+ *                 Values can use environment variables and ${hostname} and
+ *                 ${flushInterval}. The labels of the rules and the tags
+ *                 override them.
+ *
+ * Every init creates a backend of its own. The functions building and sending
+ * the payloads are also exported as a library, see the end of this file.
  *
  */
 
@@ -49,382 +125,1647 @@ if (!Object.assign) {
   });
 }
 
+var fs = require('fs');
+var path = require('path');
 var http = require('http');
+var https = require('https');
+var os = require('os');
+var url = require('url');
+var zlib = require('zlib');
+var CardinalityLimiter = require('./cardinality');
+var Diagnostics = require('./diagnostics');
+var EventTracker = require('./events');
+var Logger = require('./logger');
+var metricApi = require('./metric-api');
+var PayloadParts = require('./payload-parts');
+var RetryQueue = require('./retry-queue');
+var Rollup = require('./rollup');
+var RuleIndex = require('./rule-index');
+var Sanitizer = require('./sanitizer');
+var tagParsers = require('./tags');
+var ruleUtils = require('./rules');
+var templates = require('./templates');
 
-var globalLogger;
-var debug;
-var host;
-var port;
-var sendTimeoutInSeconds = 1;
-var rules = [];
-var metricsLimit;
-var sendLimitErrors;
-var nriStats = {};
-
-var logRequestInfo = function nriRequestInfo(req) {
-  return req.method + ' http://' + req.getHeader('host') + '' + req.path
-};
-
-var parseTags = function parseTags(namePlusTags) {
-  var tags = {};
-  if(namePlusTags.indexOf('#') >= 0) {
-      var tagStrings = namePlusTags.split('#')[1].split(',');
-      tagStrings.forEach(function(tag) {
-        var splitTag = tag.split(":");
-        if(splitTag.length == 2) {
-          tags[splitTag[0]] = splitTag[1];
-        }
-      })
-  }
-  return tags;
-}
+// Counters reported by the status command. The backend sample reports their
+// increase since the previous sample.
+var COUNTER_STATS = {
+  matched_keys: 'matchedKeys',
+  default_rule_keys: 'defaultRuleKeys',
+  unmatched_keys: 'unmatchedKeys',
+  schema_rejected_keys: 'schemaRejectedKeys',
+  dropped_samples: 'droppedSamples',
+  http_2xx: 'http2xxResponses',
+  http_3xx: 'http3xxResponses',
+  http_4xx: 'http4xxResponses',
+  http_5xx: 'http5xxResponses',
+  http_errors: 'httpErrors',
+  failover_requests: 'failoverRequests',
+  events: 'events',
+  collapsed_series: 'collapsedSeries',
+  dropped_series: 'droppedSeries',
+  sanitized_names: 'sanitizedNames',
+  truncated_names: 'truncatedNames',
+  truncated_values: 'truncatedValues',
+  dropped_values: 'droppedValues',
+  payload_bytes: 'payloadBytes'
+};
+var RULE_STAT_RE = /^(?:destination_(\d+)_)?rule_(\d+)_matched_keys$/;
+
+// A backend with its own configuration, rules and stats. init creates one for
+// every StatsD instance, so several can run in the same process. logger is
+// the StatsD logger, util by default.
+var Backend = function NewRelicBackend(logger, logLevel) {
+  this.log = new Logger(logger == null ? require('util') : logger, logLevel || 'info');
+  this.flushInterval = 10000;
+  // Metrics of the flushes waiting for the sendInterval, or null when every
+  // flush is sent. See lib/rollup.js.
+  this.rollup = null;
+  this.sendInterval = 10000;
+  // Rules of the 'newrelic' section, used by the destinations without rules.
+  this.rules = [];
+  // The rules compiled for the flushes. See lib/rule-index.js.
+  this.ruleIndex = new RuleIndex([]);
+  // Agents the payloads are sent to. See configureDestination.
+  this.destinations = [];
+  this.parseTags = tagParsers.parser('dogstatsd');
+  this.rulesFile = null;
+  this.rulesFileSignature = null;
+  this.rulesFileTimer = null;
+  this.stats = {};
+  this.sendBackendSample = false;
+  this.lastSampleStats = {};
+  this.diagnostics = null;
+  this.sanitizer = new Sanitizer(this.log);
+  // Receives what happens to every key and the payloads instead of sending
+  // them while a preview runs. See Backend.prototype.preview.
+  this.trace = null;
+  // Requests to the agents not finished yet, and the callbacks waiting for
+  // them. See Backend.prototype.close.
+  this.pendingRequests = 0;
+  this.idleCallbacks = [];
+  this.closed = false;
+};
+
+var logRequestInfo = function nriRequestInfo(target, req) {
+  var location = target.socketPath ? 'unix:' + target.socketPath + ':' : target.scheme + '://' + req.getHeader('host');
+  return req.method + ' ' + location + req.path;
+};
 
+// Where a request target is, for the logs.
+var targetName = function nriTargetName(target) {
+  return target.socketPath || target.host + ':' + target.port;
+};
 
-var sendPayload = function nriSend(host, port, payload) {
-  if (debug) {
-    globalLogger.log('Sending payload: ' + payload);
+// Milliseconds to wait before sending again from the Retry-After header of a
+// response, in seconds or as an HTTP date, or null when it's missing.
+var retryAfter = function nriRetryAfter(header) {
+  if (!header) {
+    return null;
   }
+  var delay = /^\s*\d+\s*$/.test(header) ? Number(header) * 1000 : Date.parse(header) - Date.now();
+  return isNaN(delay) ? null : Math.max(delay, 0);
+};
+
+// Sends a payload to a target, which has the host or socketPath of the agent
+// and the transport options of its destination (see configureTransport).
+// callback is an optional function called once with an error when the payload
+// should be sent again later (HTTP 5xx, connection errors and timeouts). The
+// errors of rate limited payloads (HTTP 429) have the retryAfter delay asked
+// by the server, if any.
+Backend.prototype.sendPayload = function nriSend(target, payload, callback) {
+  var self = this;
+  if (self.log.enabled('debug')) {
+    self.log.debug('Sending payload: ' + payload);
+  }
+  var finished = false;
   var startTime = Date.now();
-  var options = {
-    host: host,
-    port: port,
-    path: '/v1/data',
-    method: 'POST',
-    headers: {
-      'Content-Length': Buffer.byteLength(payload),
+  self.pendingRequests++;
+  // outcome is the name of the counter of the request result.
+  var finish = function(err, outcome) {
+    if (!finished) {
+      finished = true;
+      self.pendingRequests--;
+      self.stats[outcome]++;
+      self.stats.request_latency = Date.now() - startTime;
+      if (err) {
+        self.stats.last_exception = Math.round(Date.now() / 1000);
+      }
+      if (callback) {
+        callback(err);
+      }
+      if (self.pendingRequests === 0) {
+        self.idleCallbacks.splice(0).forEach(function(idle) {
+          idle();
+        });
+      }
+    }
+  };
+
+  var request = function(body) {
+    var headers = Object.assign({
       'Content-Type': 'application/json',
       'User-Agent': 'StatsD-backend'
+    }, target.headers, { 'Content-Length': Buffer.byteLength(body) });
+    if (target.gzip) {
+      headers['Content-Encoding'] = 'gzip';
     }
-  };
-  var req = http.request(options, function(res) {
-    var resData = "";
-    res.on('data', function(d) {
-      resData += d;
-    });
-    res.on('end', function() {
-      switch (Math.floor(res.statusCode / 100)) {
-      case 5:
-        if (debug) {
-          globalLogger.log('Unexpected error from New Relic Infrastructure Agent. HTTP ' + res.statusCode + ' error: ' + resData);
-        }
-        nriStats.last_exception = Math.round(Date.now() / 1000);
-        break;
-      case 4:
-        if (debug) {
-          globalLogger.log('Error sending JSON payload to New Relic Infrastructure Agent (' + logRequestInfo(req) + '). HTTP ' + res.statusCode + ' error: ' + resData);
-        }
-        nriStats.last_exception = Math.round(Date.now() / 1000);
-        break;
-      case 2:
-        if (debug) {
-          globalLogger.log('Payload sent successfully');
-        }
-        break;
-      default:
-        if (debug) {
-          globalLogger.log('Unexpected response from New Relic Infrastructure Agent. HTTP ' + res.statusCode + ' error: ' + resData);
+    var options = Object.assign({
+      path: target.path,
+      method: 'POST',
+      headers: headers
+    }, target.socketPath ? { socketPath: target.socketPath } : { host: target.host, port: target.port });
+    if (target.scheme === 'https') {
+      Object.assign(options, target.tls);
+    }
+    var transport = target.scheme === 'https' ? https : http;
+    var req = transport.request(options, function(res) {
+      var resData = "";
+      res.on('data', function(d) {
+        resData += d;
+      });
+      res.on('end', function() {
+        var outcome = 'http_' + Math.floor(res.statusCode / 100) + 'xx';
+        var httpError = new Error('HTTP ' + res.statusCode);
+        httpError.statusCode = res.statusCode;
+        switch (Math.floor(res.statusCode / 100)) {
+        case 5:
+          self.log.warn('Unexpected error from ' + target.service + '. HTTP ' + res.statusCode + ' error: ' + resData);
+          finish(httpError, outcome);
+          break;
+        case 4:
+          // Payloads too large are split and rate limited ones retried.
+          if (res.statusCode === 413 || res.statusCode === 429) {
+            httpError.retryAfter = retryAfter(res.headers['retry-after']);
+            self.log.warn('Payload not accepted by ' + target.service + ' (' + logRequestInfo(target, req) + '). HTTP ' + res.statusCode + ' error: ' + resData);
+            finish(httpError, outcome);
+            break;
+          }
+          self.log.error('Error sending JSON payload to ' + target.service + ' (' + logRequestInfo(target, req) + '). HTTP ' + res.statusCode + ' error: ' + resData);
+          self.stats.last_exception = Math.round(Date.now() / 1000);
+          finish(null, outcome);
+          break;
+        case 2:
+          self.log.debug('Payload sent successfully');
+          finish(null, outcome);
+          break;
+        default:
+          self.log.warn('Unexpected response from ' + target.service + '. HTTP ' + res.statusCode + ' error: ' + resData);
+          finish(null, self.stats.hasOwnProperty(outcome) ? outcome : 'http_errors');
         }
-      }
+      });
     });
-  });
-  req.on('error', function(e) {
-    if (debug) {
-      globalLogger.log('Unexepected error requesting New Relic Infrastructure Agent. Error: ' + e.message);
+    req.on('error', function(e) {
+      self.log.warn('Unexepected error requesting ' + target.service + ' at ' + targetName(target) + '. Error: ' + e.message);
+      finish(e, 'http_errors');
+    });
+    req.setTimeout(target.timeout, function() {
+      self.log.warn('Request timed out sending JSON payload to ' + target.service + ' at ' + targetName(target));
+      var timeout = new Error('Request timed out');
+      timeout.code = 'ETIMEDOUT';
+      finish(timeout, 'http_errors');
+      req.abort();
+    });
+    req.write(body);
+    req.end();
+    self.stats.flush_time = Math.round(Date.now() - startTime);
+    self.stats.flush_length = payload.length;
+    self.stats.payload_bytes += Buffer.byteLength(body);
+    self.stats.last_flush = Math.round(Date.now() / 1000);
+  };
+
+  if (!target.gzip) {
+    request(payload);
+    return;
+  }
+  zlib.gzip(payload, function(err, body) {
+    if (err) {
+      self.log.error('Unable to compress payload. Error: ' + err.message);
+      finish(err, 'http_errors');
+      return;
     }
+    request(body);
   });
-  req.setTimeout(sendTimeoutInSeconds * 1000, function() {
-    if (debug) {
-      globalLogger.log('Request timed out sending JSON payload to New Relic Infrastructure agent');
+};
+
+// Sends the payload to the first host of the destination, trying the failover
+// hosts in order while they refuse the connection or answer with HTTP 5xx.
+// Timed out requests aren't sent to the next host, since the agent may have
+// taken the payload. Payloads too large for the destination (HTTP 413) are
+// split and delivered again. callback is optional, as in sendPayload, and
+// gets the error of the last host.
+Backend.prototype.sendToDestination = function nriSendToDestination(destination, payload, callback) {
+  var self = this;
+  var send = function(idx) {
+    var target = destination.hosts[idx];
+    if (idx > 0) {
+      self.stats.failover_requests++;
+      self.log.info('Sending payload to failover host ' + targetName(target) + ' of destination ' + destination.name + '.');
     }
-    req.end();
+    self.sendPayload(target, payload, function(err) {
+      var unavailable = err && err.code !== 'ETIMEDOUT' && !(err.statusCode < 500);
+      if (unavailable && idx + 1 < destination.hosts.length) {
+        send(idx + 1);
+        return;
+      }
+      if (err && err.statusCode === 413) {
+        self.deliverInParts(destination, payload);
+        err = null;
+      }
+      if (callback) {
+        callback(err);
+      }
+    });
+  };
+  send(0);
+};
+
+// Sends the payload, queueing it for a later retry when the agent can't take
+// it. While there are queued payloads new ones wait behind them, so the agent
+// receives them in order, except once the backend is closed: the process may
+// exit before the queue is retried again.
+Backend.prototype.deliverPayload = function nriDeliver(destination, payload) {
+  var self = this;
+  var retryQueue = destination.retryQueue;
+  if (!retryQueue) {
+    self.sendToDestination(destination, payload);
+    return;
+  }
+  if (retryQueue.length() > 0 && !self.closed) {
+    retryQueue.push(payload);
+    return;
+  }
+  var createdAt = Date.now();
+  self.sendToDestination(destination, payload, function(err) {
+    if (err) {
+      retryQueue.retryAfter(err.retryAfter);
+      retryQueue.push(payload, createdAt);
+    }
+  });
+};
+
+// Splits in halves a payload rejected for being too large and delivers the
+// halves. Payloads that can't be split are dropped.
+Backend.prototype.deliverInParts = function nriDeliverInParts(destination, payload) {
+  var self = this;
+  var bytes = Buffer.byteLength(payload);
+  var parts = destination.splitPayload(JSON.parse(payload), Math.floor(bytes / 2));
+  if (parts.length < 2) {
+    self.log.error('Dropping payload of ' + bytes + ' bytes rejected by destination ' + destination.name + ' for being too large.');
+    return;
+  }
+  parts.forEach(function(part) {
+    self.deliverPayload(destination, JSON.stringify(part));
   });
-  req.write(payload);
-  req.end();
-  nriStats.flush_time = Math.round(Date.now() - startTime);
-  nriStats.flush_length = payload.length;
-  nriStats.last_flush = Math.round(Date.now() / 1000);
 };
 
-var collectMetrics = function nriCollectMetrics(rawMetrics, rules) {
+Backend.prototype.collectMetrics = function nriCollectMetrics(rawMetrics, destination) {
+  var self = this;
+  var rules = self.destinationRules(destination);
+  var index = self.destinationRuleIndex(destination);
   var gauges = rawMetrics.gauges || {};
   var counters = rawMetrics.counters || {};
-  var counterRates = rawMetrics.counter_rates;
+  var counterRates = rawMetrics.counter_rates || {};
   var timerData = rawMetrics.timer_data || {};
   var sets = rawMetrics.sets || {};
   var data = {};
 
-  var ruleTemplate = function evalSchema(tpl, metricData) {
-    var re = /{([^}]+)?}/g;
-    var match;
-    var result = tpl;
-    while ((match = re.exec(tpl))) {
-      result = result.replace(match[0], metricData[match[1]]);
-    }
-    return result;
-  };
-  var validateKeyWithSchema = function validate(key, schema) {
-    var splittedSchema = schema.split('.');
-    var splittedKey = key.split('.');
+  //compiled is the rule compiled by the RuleIndex
+  //labelsFromMetric is an optional hash with labels directly from the metric
+  //suffix is appended to the metric name to build the key, as in 'PerSecond'
+  //for counter rates or '.upper' for timers
+  //metricType is the StatsD type of the metric, as in 'counters'
+  //members are the values of sets, for their events and inventory
+  var evalRule = function evalRule(compiled, metricName, suffix, value, labelsFromMetric, metricType, members) {
+    var rule = compiled.rule;
+    var key = metricName + suffix;
+    var found = compiled.matches(key) && compiled.matchesTags(labelsFromMetric);
+    var metricFields = null;
 
-    return splittedKey.length >= splittedSchema.length;
-  };
-  var extractSchemaFields = function(key, schema) {
-    var splittedSchema = schema.split('.');
-    var splittedKey = key.split('.');
-    var fields = {};
-    splittedSchema.forEach(function(sword, idx) {
-      var word = sword.match(/{([^}]*).*/);
-      var value;
-      if (word !== null) {
-        word = word[1];
-        if (idx + 1 === splittedSchema.length && idx + 1 < splittedKey.length) {
-          value = splittedKey.slice(idx, splittedKey.length).join('.');
-        } else {
-          value = splittedKey[idx];
-        }
-        fields[word] = value;
+    if (found && rule.matchPattern !== undefined) {
+      metricFields = ruleUtils.extractPatternFields(metricName, rule.matchPattern);
+      found = metricFields !== null;
+      if (found) {
+        metricFields.metricName += suffix;
       }
-    });
-    return fields;
-  };
-  //labelsFromMetric is an optional hash with labels directly from the metric
-  var evalRule = function evalRule(rule, metricName, value, labelsFromMetric) {
-    var re = new RegExp(rule.matchExpression);
-    var found = re.test(metricName);
-
-    if (found) {
-      if (validateKeyWithSchema(metricName, rule.metricSchema)) {
-        var metricFields = extractSchemaFields(metricName, rule.metricSchema);
-        var eventType = rule.eventType;
-        if (debug) {
-          if (/{.*}/.test(eventType)) {
-            globalLogger.log('You can\'t use variable substitutions for EventType: ${rule.eventType}');
-          }
+    } else if (found) {
+      metricFields = compiled.schemaFields(key);
+      if (metricFields === null) {
+        self.stats.schema_rejected_keys++;
+        if (self.diagnostics) {
+          self.diagnostics.schemaRejected(key, rule, compiled.index, self.diagnosticsDestination(destination));
         }
-        var entityName = ruleTemplate(rule.entityName, metricFields);
-        var entityType = ruleTemplate(rule.entityType, metricFields);
-        var entityId = entityType + ':' + entityName;
-        if(Object.keys(labelsFromMetric).length > 0) {
-          entityId = entityId +":" + JSON.stringify(labelsFromMetric);
+        if (self.trace) {
+          self.trace.schemaRejected(destination, currentKey, key, compiled.index);
         }
+        self.log.debug("It isn't possible to compose an event for key " + key + ". It has less elements than metric schema: " + rule.metricSchema);
+      }
+    }
 
-        metricFields[metricFields.metricName] = value;
-        delete metricFields.metricName;
+    // The tags of the key after the tag limits of the rule. Series over the
+    // limits are collapsed with others or dropped.
+    var series = metricFields === null ? null : destination.cardinality.limit(rule, compiled.index, labelsFromMetric);
+    if (series !== null) {
+      labelsFromMetric = series.labels;
+      metricFields = Object.assign({}, series.fields, metricFields);
+      // Templates can use the promoted tags too.
+      var tags = Object.assign({}, series.labels, series.fields);
+      var eventType = rule.dynamicEventType ? templates.render(rule.eventType, metricFields, tags) : rule.eventType;
+      var entityName = templates.render(rule.entityName, metricFields, tags);
+      if (entityName === '') {
+        self.log.debug('Skipping key ' + key + ' because the entityName ' + rule.entityName + ' of its rule is empty for it.');
+        return found;
+      }
+      var entityType = templates.render(rule.entityType, metricFields, tags);
+      var entityId = entityType + ':' + entityName;
+      if(Object.keys(labelsFromMetric).length > 0) {
+        entityId = entityId +":" + JSON.stringify(labelsFromMetric);
+      }
 
-        if (data.hasOwnProperty(entityId)) {
-          if (!data[entityId].metrics.hasOwnProperty(eventType)) {
-            data[entityId].metrics[eventType] = {};
-          }
-          Object.assign(data[entityId].metrics[eventType], metricFields);
-        } else {
-          data[entityId] = {
-            entity: { name: entityName, type: entityType },
-            metrics: {}
-          };
-          data[entityId].metrics[eventType] = metricFields;
-        }
+      var metricAttribute = ruleUtils.renameAttribute(rule, metricFields.metricName, suffix);
+      // The name of the metric the attribute is a value of, as 'latency' for
+      // 'latency.upper', unless the attribute was renamed.
+      var sourceMetric = metricAttribute === metricFields.metricName ?
+        metricAttribute.slice(0, metricAttribute.length - suffix.length) : null;
+      delete metricFields.metricName;
+      // Schema fields and labels describe the sample instead of measuring
+      // something, they are repeated when a sample has to be split.
+      var dimensions = Object.keys(metricFields);
+      metricFields[metricAttribute] = ruleUtils.transformValue(rule, metricAttribute, value);
+      // Counters of the series collapsed together are added up.
+      var previous = data.hasOwnProperty(entityId) && data[entityId].metrics.hasOwnProperty(eventType) ?
+        data[entityId].metrics[eventType][metricAttribute] : undefined;
+      if (series.collapsed && metricType === 'counters' && typeof previous === 'number') {
+        metricFields[metricAttribute] += previous;
+      }
 
-        Object.keys(rule.labels || {}).forEach(function(label) {
-          data[entityId].metrics[eventType]['label.' + label] = ruleTemplate(rule.labels[label], metricFields);
-        });
-        Object.keys(labelsFromMetric).forEach(function(labelName) {
-          data[entityId].metrics[eventType]['label.' + labelName] = labelsFromMetric[labelName]
-        });
-      } else if (debug) {
-        globalLogger.log("It isn't possible to compose an event for key " + metricName + ". It has less elements than metric schema: " + rule.metricSchema);
+      if (data.hasOwnProperty(entityId)) {
+        if (!data[entityId].metrics.hasOwnProperty(eventType)) {
+          data[entityId].metrics[eventType] = {};
+          data[entityId].dimensions[eventType] = {};
+          data[entityId].types[eventType] = {};
+          data[entityId].rules[eventType] = [];
+        }
+        Object.assign(data[entityId].metrics[eventType], metricFields);
+      } else {
+        data[entityId] = {
+          entity: { name: entityName, type: entityType },
+          metrics: {},
+          dimensions: {},
+          types: {},
+          rules: {}
+        };
+        data[entityId].metrics[eventType] = metricFields;
+        data[entityId].dimensions[eventType] = {};
+        data[entityId].types[eventType] = {};
+        data[entityId].rules[eventType] = [];
       }
+      data[entityId].types[eventType][metricAttribute] = { metricType: metricType, suffix: suffix, metric: sourceMetric };
+      if (members !== undefined) {
+        data[entityId].types[eventType][metricAttribute].members = members;
+      }
+      if (data[entityId].rules[eventType].indexOf(rule) < 0) {
+        data[entityId].rules[eventType].push(rule);
+      }
+
+      var eventDimensions = data[entityId].dimensions[eventType];
+      dimensions.forEach(function(field) {
+        eventDimensions[field] = true;
+      });
+      Object.keys(rule.labels || {}).forEach(function(label) {
+        data[entityId].metrics[eventType]['label.' + label] = templates.render(rule.labels[label], metricFields, tags);
+        eventDimensions['label.' + label] = true;
+      });
+      Object.keys(labelsFromMetric).forEach(function(labelName) {
+        data[entityId].metrics[eventType]['label.' + labelName] = labelsFromMetric[labelName]
+        eventDimensions['label.' + labelName] = true;
+      });
     }
 
     return found;
   };
 
-  if (debug) {
-    var expressions = rules.map(function(rule) { return rule.matchExpression; });
-    globalLogger.log('Matching keys against rule expressions: [' + expressions.join(', ') + ']');
+  if (self.log.enabled('debug')) {
+    var expressions = rules.map(function(rule) { return rule.matchExpression || rule.matchPattern; });
+    self.log.debug('Matching keys against rule expressions: [' + expressions.join(', ') + ']');
   }
 
   var matchedKeys = 0;
+  var defaultKeys = 0;
+  var unmatchedKeys = 0;
+  destination.cardinality.startFlush();
+
+  // The key being matched, with its tags, for the trace of the previews.
+  var currentKey = null;
+
+  // evaluate is called with every compiled rule that can match the key and
+  // returns whether the rule matched it. In 'first' match mode the rest of
+  // rules are skipped after the first match. Keys that no rule matched are
+  // evaluated with the default rule. tags are the tags of the key, and keys
+  // the names the rules are evaluated with, for the diagnostics.
+  var matchKey = function(metricType, namePlusTags, metricName, tags, keys, evaluate) {
+    var matched = false;
+    currentKey = namePlusTags;
+    index.candidates(metricName).some(function(compiled) {
+      if (evaluate(compiled)) {
+        matched = true;
+        self.stats[destination.statPrefix + 'rule_' + compiled.index + '_matched_keys']++;
+        if (self.trace) {
+          self.trace.matched(destination, namePlusTags, metricType, compiled.index);
+        }
+        return destination.matchMode === 'first';
+      }
+      return false;
+    });
+    if (matched) {
+      matchedKeys++;
+    } else if (destination.defaultRule && evaluate(destination.compiledDefaultRule)) {
+      defaultKeys++;
+      if (self.trace) {
+        self.trace.matched(destination, namePlusTags, metricType, -1);
+      }
+    } else {
+      unmatchedKeys++;
+      if (self.diagnostics) {
+        self.diagnostics.unmatched(metricName, keys, metricType, rules, self.diagnosticsDestination(destination), tags, index.indexes);
+      }
+      if (self.trace) {
+        self.trace.unmatched(destination, namePlusTags, metricType);
+      }
+    }
+  };
 
   Object.keys(counters).forEach(function(namePlusTags) {
-    var metricName = namePlusTags.split('#')[0]
-    var tags = parseTags(namePlusTags)
+    var parsed = self.parseTags(namePlusTags);
+    var metricName = parsed.name;
+    var tags = parsed.tags;
 
-    rules.forEach(function(rule) {
-      if (evalRule(rule, metricName, counters[namePlusTags], tags)) {
-        evalRule(rule, metricName + 'PerSecond', counterRates[namePlusTags], tags);
-        matchedKeys++;
+    matchKey('counters', namePlusTags, metricName, tags, [metricName, metricName + 'PerSecond'], function(compiled) {
+      if (!ruleUtils.appliesTo(compiled.rule, 'counters')) {
+        return false;
+      }
+      var counterValues = compiled.rule.counterValues || 'both';
+      if (counterValues === 'rate') {
+        return evalRule(compiled, metricName, 'PerSecond', counterRates[namePlusTags], tags, 'counters');
+      }
+      if (evalRule(compiled, metricName, '', counters[namePlusTags], tags, 'counters')) {
+        if (counterValues === 'both') {
+          evalRule(compiled, metricName, 'PerSecond', counterRates[namePlusTags], tags, 'counters');
+        }
+        return true;
       }
+      return false;
     });
   });
 
   Object.keys(timerData).forEach(function(namePlusTags) {
-    var metricName = namePlusTags.split('#')[0]
-    var tags = parseTags(namePlusTags)
-    rules.forEach(function(rule) {
+    var parsed = self.parseTags(namePlusTags);
+    var metricName = parsed.name;
+    var tags = parsed.tags;
+    var timerKeys = Object.keys(timerData[namePlusTags]).map(function(timerKey) {
+      return metricName + '.' + timerKey;
+    });
+    matchKey('timers', namePlusTags, metricName, tags, timerKeys, function(compiled) {
+      var found = false;
+      if (!ruleUtils.appliesTo(compiled.rule, 'timers')) {
+        return false;
+      }
       Object.keys(timerData[namePlusTags]).forEach(function(timerKey) {
-        evalRule(rule, metricName + '.' + timerKey, timerData[namePlusTags][timerKey], tags);
+        if (ruleUtils.timerStatSelected(compiled.rule, timerKey) && evalRule(compiled, metricName, '.' + timerKey, timerData[namePlusTags][timerKey], tags, 'timers')) {
+          found = true;
+        }
       });
+      return found;
     });
   });
 
   Object.keys(gauges).forEach(function(namePlusTags) {
-    var metricName = namePlusTags.split('#')[0]
-    var tags = parseTags(namePlusTags)
-    rules.forEach(function(rule) {
-      evalRule(rule, metricName, gauges[namePlusTags], tags);
+    var parsed = self.parseTags(namePlusTags);
+    var metricName = parsed.name;
+    var tags = parsed.tags;
+    matchKey('gauges', namePlusTags, metricName, tags, [metricName], function(compiled) {
+      return ruleUtils.appliesTo(compiled.rule, 'gauges') && evalRule(compiled, metricName, '', gauges[namePlusTags], tags, 'gauges');
     });
   });
 
   Object.keys(sets).forEach(function(namePlusTags) {
-    var metricName = namePlusTags.split('#')[0]
-    var tags = parseTags(namePlusTags)
-    rules.forEach(function(rule) {
-      evalRule(rule, metricName + '.count', sets[namePlusTags].size(), tags);
+    var parsed = self.parseTags(namePlusTags);
+    var metricName = parsed.name;
+    var tags = parsed.tags;
+    var members = typeof sets[namePlusTags].values === 'function' ? sets[namePlusTags].values() : undefined;
+    matchKey('sets', namePlusTags, metricName, tags, [metricName + '.count'], function(compiled) {
+      return ruleUtils.appliesTo(compiled.rule, 'sets') && evalRule(compiled, metricName, '.count', sets[namePlusTags].size(), tags, 'sets', members);
     });
   });
 
-  if (debug) {
+  if (self.log.enabled('debug')) {
     var totalKeys = Object.keys(counters).length + Object.keys(timerData).length + Object.keys(gauges).length + Object.keys(sets).length;
-    globalLogger.log('Matched keys ' + matchedKeys + '. Total keys: ' + totalKeys);
+    self.log.debug('Matched keys ' + matchedKeys + '. Keys matched by the default rule: ' + defaultKeys + '. Total keys: ' + totalKeys);
   }
+  self.stats.matched_keys += matchedKeys;
+  self.stats.default_rule_keys += defaultKeys;
+  self.stats.unmatched_keys += unmatchedKeys;
+  self.stats.collapsed_series += destination.cardinality.collapsedSeries;
+  self.stats.dropped_series += destination.cardinality.droppedSeries;
 
   return data;
 };
 
-var composePayload = function nriPayload(data) {
+// Computes the derived attributes of the rules that contributed to every
+// sample, once all the keys have been grouped by entity and event type.
+Backend.prototype.deriveMetrics = function nriDeriveMetrics(data) {
+  var self = this;
+  Object.keys(data).forEach(function(entityId) {
+    var entry = data[entityId];
+    Object.keys(entry.rules).forEach(function(eventType) {
+      entry.rules[eventType].forEach(function(rule) {
+        var skipped = ruleUtils.deriveAttributes(rule, entry.metrics[eventType]);
+        if (skipped > 0) {
+          self.log.debug(skipped + ' derived attributes of ' + eventType + ' for entity ' + entityId + ' could not be computed.');
+        }
+      });
+    });
+  });
+  return data;
+};
+
+// Fixes the names and values of the samples that would be rejected. See
+// lib/sanitizer.js.
+Backend.prototype.sanitizeMetrics = function nriSanitizeMetrics(data) {
+  var fixes = this.sanitizer.sanitize(data);
+  this.stats.sanitized_names += fixes.sanitizedNames;
+  this.stats.truncated_names += fixes.truncatedNames;
+  this.stats.truncated_values += fixes.truncatedValues;
+  this.stats.dropped_values += fixes.droppedValues;
+  return data;
+};
+
+Backend.prototype.composePayload = function nriPayload(data, destination) {
+  var self = this;
   var defaultIntegration = {
     name: 'com.newrelic.statsd',
     integration_version: '0.1.0',
     protocol_version: '1'
   };
 
+  // Splits the metrics of an event into several samples under the limit.
+  // Every sample repeats the schema fields and labels of the event, so they
+  // can be faceted together, and carries its part index. Returns null when
+  // the schema fields and labels alone don't fit in a sample.
+  var splitMetricSet = function(eventType, values, dimensions) {
+    var common = {};
+    var metricNames = [];
+    Object.keys(values).forEach(function(key) {
+      if (dimensions[key]) {
+        common[key] = values[key];
+      } else {
+        metricNames.push(key);
+      }
+    });
+    var chunkSize = destination.metricsLimit - Object.keys(common).length - 2;
+    if (chunkSize < 1) {
+      return null;
+    }
+
+    var numberOfParts = Math.ceil(metricNames.length / chunkSize);
+    var metricSets = [];
+    for (var part = 0; part < numberOfParts; part++) {
+      var metricSet = Object.assign({ event_type: eventType }, common, { part: part + 1, numberOfParts: numberOfParts });
+      metricNames.slice(part * chunkSize, (part + 1) * chunkSize).forEach(function(name) {
+        metricSet[name] = values[name];
+      });
+      metricSets.push(metricSet);
+    }
+    return metricSets;
+  };
+
+  // entityId identifies the sample in the trace of the previews. The global
+  // labels are added to every sample, unless it has a label with the same
+  // name, and count towards the limit.
+  var globalDimensions = {};
+  Object.keys(destination.globalLabels).forEach(function(label) {
+    globalDimensions[label] = true;
+  });
+  var metricSetsForEvent = function(entityId, eventType, values, dimensions) {
+    values = Object.assign({}, destination.globalLabels, values);
+    dimensions = Object.assign({}, globalDimensions, dimensions);
+    var metricsLength = Object.keys(values).length;
+    if (metricsLength <= destination.metricsLimit) {
+      return [Object.assign({ event_type: eventType }, values)];
+    }
+    if (destination.overflowMode === 'split') {
+      var parts = splitMetricSet(eventType, values, dimensions);
+      if (parts) {
+        if (self.trace) {
+          self.trace.overLimit(destination, entityId, eventType, metricsLength, 'split in ' + parts.length + ' samples');
+        }
+        return parts;
+      }
+    }
+    if (self.trace) {
+      self.trace.overLimit(destination, entityId, eventType, metricsLength, 'dropped');
+    }
+
+    self.log.warn("The event has more than " + destination.metricsLimit + " metrics and can't be processed. Metrics length: " + metricsLength);
+    self.stats.last_exception = Math.round(Date.now() / 1000);
+    self.stats.dropped_samples++;
+    if (destination.sendLimitErrors) {
+      return [Object.assign({
+        event_type: "StatsdLimitErrorSample",
+        numberOfMetrics: metricsLength,
+        configuredLimit: destination.metricsLimit
+      }, destination.globalLabels)];
+    }
+    return [];
+  };
+
+  // Protocol v1 reports everything as the host running StatsD, so the
+  // inventory items are prefixed with their entity.
   var v1Payload = function(v1data) {
     var integration = Object.assign({}, defaultIntegration);
     var metricSets = [];
+    var inventory = {};
+    var events = [];
 
     Object.keys(v1data).forEach(function(entityId) {
+      var entity = v1data[entityId].entity;
       var metrics = v1data[entityId].metrics;
+      var dimensions = v1data[entityId].dimensions || {};
       Object.keys(metrics).forEach(function(eventType) {
-        var values = metrics[eventType];
-        var metricsLength = Object.keys(values).length;
-
-        if (metricsLength > metricsLimit) {
-          if (sendLimitErrors) {
-            metricSets.push(
-              {
-                event_type: "StatsdLimitErrorSample",
-                numberOfMetrics: metricsLength,
-                configuredLimit: metricsLimit,
-              }
-            )
-          }
-          if (debug) {
-            globalLogger.log("The event has more than " + metricsLimit + " metrics and can't be processed. Metrics length: " + metricsLength);
-          }
-          nriStats.last_exception = Math.round(Date.now() / 1000);
-        } else {
-          metricSets.push(Object.assign({ event_type: eventType }, values));
-        }
+        Array.prototype.push.apply(metricSets, metricSetsForEvent(entityId, eventType, metrics[eventType], dimensions[eventType]));
+      });
+      Object.keys(v1data[entityId].inventory || {}).forEach(function(item) {
+        inventory[entity.type + ':' + entity.name + '/' + item] = v1data[entityId].inventory[item];
       });
+      Array.prototype.push.apply(events, v1data[entityId].events || []);
     });
-    return Object.assign(integration, { metrics: metricSets, inventory: {}, events: [] });
+    return Object.assign(integration, { metrics: metricSets, inventory: inventory, events: events });
   };
 
   var v2Payload = function(v2data) {
     var integration = Object.assign({}, defaultIntegration);
     var entitiesData = [];
+    var entitiesByKey = {};
 
     Object.keys(v2data).forEach(function(entityId) {
+      var entity = v2data[entityId].entity;
       var metrics = v2data[entityId].metrics;
+      var dimensions = v2data[entityId].dimensions || {};
+      var entityName = entity.type + ':' + entity.name;
+      var displayName = entity.name;
       var metricSets = [];
       Object.keys(metrics).forEach(function(eventType) {
-        var entityName = v2data[entityId].entity.type + ':' + v2data[entityId].entity.name;
-        var displayName = v2data[entityId].entity.name;
-        var values = metrics[eventType];
-        var metricsLength = Object.keys(values).length;
-        if (metricsLength > metricsLimit) {
-          if (sendLimitErrors) {
-            metricSets.push(
-              {
-                event_type: "StatsdLimitErrorSample",
-                entityName: entityName,
-                displayName: displayName,
-                numberOfMetrics: metricsLength,
-                configuredLimit: metricsLimit
-              }
-            );
-          }
-          if (debug) {
-            globalLogger.log("The event has more than " + metricsLimit + " metrics and can't be processed. Metrics length: " + metricsLength);
-          }
-        } else {
-          var event = Object.assign({ event_type: eventType }, values);
+        metricSetsForEvent(entityId, eventType, metrics[eventType], dimensions[eventType]).forEach(function(event) {
           Object.assign(event,
                         { entityName: entityName,
                           displayName: displayName
                         });
           metricSets.push(event);
-        }
+        });
       });
 
-      entitiesData.push({
-        entity: v2data[entityId].entity,
-        metrics: metricSets,
-        events: [],
-        inventory: {}
-      });
+      var events = v2data[entityId].events || [];
+      var inventory = v2data[entityId].inventory || {};
+      if (metricSets.length === 0 && events.length === 0 && Object.keys(inventory).length === 0) {
+        return;
+      }
+      // Keys with different tags end up in different entity ids but they
+      // belong to the same entity, so their metric sets are reported together.
+      if (entitiesByKey.hasOwnProperty(entityName)) {
+        Array.prototype.push.apply(entitiesByKey[entityName].metrics, metricSets);
+        Array.prototype.push.apply(entitiesByKey[entityName].events, events);
+        Object.assign(entitiesByKey[entityName].inventory, inventory);
+      } else {
+        entitiesByKey[entityName] = {
+          entity: { name: entity.name, type: entity.type },
+          metrics: metricSets,
+          events: events.slice(),
+          inventory: Object.assign({}, inventory)
+        };
+        entitiesData.push(entitiesByKey[entityName]);
+      }
     });
 
     return Object.assign({}, integration, { protocol_version: '2', data: entitiesData });
   };
 
+  if (destination.protocolVersion === 2) {
+    return v2Payload(data);
+  }
   return v1Payload(data);
 };
 
-var flushMetrics = function nriFlush(timestamp, rawMetrics) {
-  if (rules.length === 0 && debug) {
-    globalLogger.log("There are not rules configured for backend 'newrelic'. Without rules, we can not know how to process and send StatsD metrics to New Relic Infrastructure.");
+// Splits a payload into several ones whose JSON is smaller than maxBytes.
+// Metric sets are never split, so a single metric set bigger than maxBytes is
+// sent in a payload of its own. Events and inventory are sent once, with the
+// first metric sets of their entity.
+var splitPayload = function nriSplitPayload(payload, maxBytes) {
+  if (!maxBytes || PayloadParts.size(payload) <= maxBytes) {
+    return [payload];
   }
-  var metricsByEntity = collectMetrics(rawMetrics, rules);
-  var payload = composePayload(metricsByEntity);
 
-  if ((payload.metrics && payload.metrics.length > 0) || (payload.data && payload.data.length > 0))  {
-    sendPayload(host, port, JSON.stringify(payload));
+  var parts = new PayloadParts(maxBytes);
+  var current = null;
+  var startPayload = function() {
+    current = Object.assign({}, payload, payload.data ? { data: [] } : { metrics: [] });
+    if (parts.payloads.length > 0 && !payload.data) {
+      current.events = [];
+      current.inventory = {};
+    }
+    parts.start(current);
+  };
+
+  startPayload();
+  if (payload.data) {
+    payload.data.forEach(function(entityData) {
+      var entry = null;
+      var addEntry = function(firstEntry, bytes) {
+        var emptyEntry = Object.assign({}, entityData, { metrics: [] }, firstEntry ? {} : { events: [], inventory: {} });
+        var emptyEntrySize = PayloadParts.size(emptyEntry);
+        if (!parts.fits(emptyEntrySize + bytes) && current.data.length > 0) {
+          startPayload();
+        }
+        entry = emptyEntry;
+        parts.add(current.data, entry, emptyEntrySize);
+      };
+      if (entityData.metrics.length === 0) {
+        addEntry(true, 0);
+      }
+      entityData.metrics.forEach(function(metricSet, idx) {
+        var setSize = PayloadParts.size(metricSet);
+        if (entry === null || !parts.fits(setSize)) {
+          addEntry(idx === 0, setSize);
+        }
+        parts.add(entry.metrics, metricSet, setSize);
+      });
+    });
+  } else {
+    payload.metrics.forEach(function(metricSet) {
+      var setSize = PayloadParts.size(metricSet);
+      if (!parts.fits(setSize) && current.metrics.length > 0) {
+        startPayload();
+      }
+      parts.add(current.metrics, metricSet, setSize);
+    });
   }
+  return parts.payloads;
+};
 
-  return payload;
+// Adds a StatsdBackendSample with the activity of the backend since the
+// previous sample. HTTP results are the ones of the requests completed since
+// then. With protocol v2 the sample belongs to the host running StatsD.
+Backend.prototype.addBackendSample = function nriAddBackendSample(payload, destination) {
+  var self = this;
+  var sample = Object.assign({ event_type: 'StatsdBackendSample' }, destination.globalLabels);
+  Object.keys(self.stats).forEach(function(stat) {
+    var ruleStat = RULE_STAT_RE.exec(stat);
+    var attribute = COUNTER_STATS[stat];
+    if (ruleStat) {
+      attribute = (ruleStat[1] ? 'destination.' + ruleStat[1] + '.' : '') + 'rule.' + ruleStat[2] + '.matchedKeys';
+    }
+    if (attribute) {
+      sample[attribute] = self.stats[stat] - (self.lastSampleStats[stat] || 0);
+      self.lastSampleStats[stat] = self.stats[stat];
+    }
+  });
+  sample.requestLatencyMs = self.stats.request_latency;
+  sample.rulesVersion = self.stats.rules_version;
+  sample.rules = self.rules.length;
+  if (self.stats.hasOwnProperty('retry_queue_length')) {
+    sample.retryQueueLength = self.stats.retry_queue_length;
+  }
+
+  if (payload.data) {
+    payload.data.push({ metrics: [sample], events: [], inventory: {} });
+  } else {
+    payload.metrics.push(sample);
+  }
 };
 
-var backendStatus = function nriBackendStatus(writeCb) {
-  Object.keys().forEach(function(stat) {
-    writeCb(null, 'newrelic', stat, nriStats[stat]);
+// The rules of the destination, which are the ones of the 'newrelic' section
+// when it has none.
+Backend.prototype.destinationRules = function nriDestinationRules(destination) {
+  return destination.rules || this.rules;
+};
+
+Backend.prototype.destinationRuleIndex = function nriDestinationRuleIndex(destination) {
+  return destination.ruleIndex || this.ruleIndex;
+};
+
+// The destination the diagnostics are about, only when there are several.
+Backend.prototype.diagnosticsDestination = function nriDiagnosticsDestination(destination) {
+  return this.destinations.length > 1 ? destination.name : undefined;
+};
+
+// Initializes the per rule counters, which are reset when the rules change.
+// Destinations with their own rules have their own counters.
+Backend.prototype.resetRuleStats = function nriResetRuleStats() {
+  var self = this;
+  Object.keys(self.stats).forEach(function(stat) {
+    if (RULE_STAT_RE.test(stat)) {
+      delete self.stats[stat];
+      delete self.lastSampleStats[stat];
+    }
+  });
+  self.destinations.forEach(function(destination) {
+    self.destinationRuleIndex(destination).indexes.forEach(function(idx) {
+      self.stats[destination.statPrefix + 'rule_' + idx + '_matched_keys'] = 0;
+    });
   });
 };
 
-exports.init = function nriInitBackend(startupTime, config, events, logger) {
-  debug = config.debug;
-  if (logger == null) {
-    globalLogger = require('util');
+// The queues of all the destinations are reported together.
+Backend.prototype.updateRetryStats = function nriUpdateRetryStats() {
+  var self = this;
+  var stats = null;
+  self.destinations.forEach(function(destination) {
+    if (destination.retryQueue) {
+      var queueStats = destination.retryQueue.stats();
+      stats = stats || {};
+      Object.keys(queueStats).forEach(function(stat) {
+        stats[stat] = (stats[stat] || 0) + queueStats[stat];
+      });
+    }
+  });
+  if (stats) {
+    Object.assign(self.stats, stats);
+  }
+};
+
+// Sends the metrics of a StatsD flush, or of several rolled up, to every
+// destination. intervalMs is the interval they cover. The
+// StatsdBackendSample is only sent to the first destination with the
+// infrastructure output.
+Backend.prototype.send = function nriSendMetrics(timestamp, rawMetrics, intervalMs) {
+  var self = this;
+  var backendSampleSent = !self.sendBackendSample;
+  if (self.diagnostics) {
+    self.diagnostics.startFlush();
+  }
+  self.destinations.forEach(function(destination) {
+    if (self.destinationRules(destination).length === 0) {
+      self.log.warn("There are not rules configured for backend 'newrelic' and destination " + destination.name + ". Without rules, we can not know how to process and send StatsD metrics to New Relic Infrastructure.");
+    }
+    var metricsByEntity = self.sanitizeMetrics(self.deriveMetrics(self.collectMetrics(rawMetrics, destination)));
+    var payload;
+    var empty;
+    if (destination.output === 'metricApi') {
+      payload = metricApi.composePayload(metricsByEntity, timestamp, intervalMs, destination.globalLabels);
+      empty = metricApi.isEmpty(payload);
+    } else {
+      self.stats.events += destination.eventTracker.evaluate(metricsByEntity);
+      payload = self.composePayload(EventTracker.inventory(metricsByEntity), destination);
+      if (!backendSampleSent) {
+        self.updateRetryStats();
+        self.addBackendSample(payload, destination);
+        backendSampleSent = true;
+      }
+      empty = payload.data ? payload.data.length === 0 :
+        payload.metrics.length === 0 && payload.events.length === 0 && Object.keys(payload.inventory).length === 0;
+    }
+
+    if (!empty) {
+      destination.splitPayload(payload, destination.maxPayloadBytes).forEach(function(part) {
+        if (self.trace) {
+          self.trace.payload(destination, part);
+        } else {
+          self.deliverPayload(destination, JSON.stringify(part));
+        }
+      });
+    }
+  });
+  self.updateRetryStats();
+  if (self.diagnostics) {
+    var summary = self.diagnostics.summary();
+    if (summary !== null) {
+      self.log.info('Diagnostics for backend \'newrelic\': ' + summary);
+    }
+  }
+};
+
+// Sends the metrics of every StatsD flush, or rolls them up until the
+// sendInterval is reached.
+Backend.prototype.flush = function nriFlush(timestamp, rawMetrics) {
+  if (this.rollup === null) {
+    this.send(timestamp, rawMetrics, this.flushInterval);
+    return;
+  }
+  this.rollup.add(timestamp, rawMetrics);
+  if (this.rollup.intervalMs() >= this.sendInterval) {
+    this.sendRollup();
+  }
+};
+
+Backend.prototype.sendRollup = function nriSendRollup() {
+  var rollup = this.rollup;
+  if (rollup.flushes > 0) {
+    this.send(rollup.timestamp, rollup.metrics(), rollup.intervalMs());
+    rollup.reset();
+  }
+};
+
+// Stops watching the rules file and sends the metrics rolled up so far,
+// without waiting for the payloads queued for a retry. callback is called once
+// the requests to the agents are finished, which takes at most the request
+// timeout.
+Backend.prototype.close = function nriClose(callback) {
+  releaseOnShutdown(this);
+  this.closed = true;
+  this.watchRulesFile(null, 0, null);
+  if (this.rollup !== null) {
+    this.sendRollup();
+  }
+  if (this.pendingRequests === 0) {
+    callback();
   } else {
-    globalLogger = logger;
+    this.idleCallbacks.push(callback);
+  }
+};
+
+// Identifies the content of the rules file without reading it.
+var fileSignature = function nriFileSignature(file) {
+  try {
+    var stat = fs.statSync(file);
+    return [stat.ino, stat.size, stat.mtime.getTime()].join(':');
+  } catch (e) {
+    return e.code;
+  }
+};
+
+// Loads again the rules file. StatsD flushes run synchronously, so the new rules
+// are always swapped in between two flushes. Invalid files are ignored and the
+// previous rules are kept.
+Backend.prototype.reloadRules = function nriReloadRules() {
+  var self = this;
+  var validation;
+  self.rulesFileSignature = fileSignature(self.rulesFile);
+  try {
+    validation = ruleUtils.validate(ruleUtils.load(self.rulesFile));
+  } catch (e) {
+    validation = { errors: [{ index: null, field: '', message: 'can\'t be loaded from ' + self.rulesFile + ': ' + e.message }] };
   }
+  if (validation.errors.length > 0) {
+    validation.errors.forEach(function(error) {
+      self.log.error('Invalid rules file for backend \'newrelic\': ' + ruleUtils.formatError(error));
+    });
+    self.log.warn('Keeping the previous rules (version ' + self.stats.rules_version + ') for backend \'newrelic\'.');
+    self.stats.rules_reload_failures++;
+    return false;
+  }
+
+  self.rules = validation.rules;
+  self.ruleIndex = new RuleIndex(self.rules, validation.indexes);
+  self.resetRuleStats();
+  self.destinations.forEach(function(destination) {
+    if (destination.rules === null) {
+      destination.cardinality.reset();
+    }
+  });
+  if (self.diagnostics) {
+    self.diagnostics.reset();
+  }
+  self.stats.rules_version++;
+  self.stats.rules_reloads++;
+  self.log.info('Reloaded ' + self.rules.length + ' rules from ' + self.rulesFile + ' for backend \'newrelic\' (version ' + self.stats.rules_version + ').');
+  return true;
+};
 
+// Checks periodically whether the rules file changed since it was loaded.
+// signature identifies the content of the file when it was loaded.
+Backend.prototype.watchRulesFile = function nriWatchRulesFile(file, intervalSeconds, signature) {
+  var self = this;
+  clearInterval(self.rulesFileTimer);
+  self.rulesFile = file;
+  self.rulesFileSignature = signature;
+  self.rulesFileTimer = null;
+  if (file === null) {
+    return;
+  }
+  self.rulesFileTimer = setInterval(function() {
+    if (fileSignature(self.rulesFile) !== self.rulesFileSignature) {
+      self.reloadRules();
+    }
+  }, intervalSeconds * 1000);
+  if (self.rulesFileTimer.unref) {
+    self.rulesFileTimer.unref();
+  }
+};
+
+// The diagnostics are reported as JSON lists of the top keys.
+Backend.prototype.status = function nriBackendStatus(writeCb) {
+  var self = this;
+  Object.keys(self.stats).forEach(function(stat) {
+    writeCb(null, 'newrelic', stat, self.stats[stat]);
+  });
+  if (self.diagnostics) {
+    var report = self.diagnostics.report();
+    writeCb(null, 'newrelic', 'diagnostics_unmatched_keys', JSON.stringify(report.unmatchedKeys));
+    writeCb(null, 'newrelic', 'diagnostics_schema_rejected_keys', JSON.stringify(report.schemaRejectedKeys));
+    writeCb(null, 'newrelic', 'diagnostics_untracked_keys', report.untrackedKeys);
+  }
+};
+
+// Validates a defaultRule, which matches every key when it has no
+// matchExpression. Returns null when it has errors.
+var loadDefaultRule = function nriLoadDefaultRule(rule, prefix, errors) {
+  if (!rule) {
+    return null;
+  }
+  if (rule.matchExpression === undefined && rule.matchPattern === undefined) {
+    rule = Object.assign({ matchExpression: '.*' }, rule);
+  }
+  var ruleErrors = ruleUtils.validate([rule]).errors;
+  ruleErrors.forEach(function(error) {
+    errors.push(ruleUtils.formatError(Object.assign(error, { index: null, field: prefix + 'defaultRule' + (error.field ? '.' + error.field : '') })));
+  });
+  return ruleErrors.length > 0 ? null : rule;
+};
+
+// Parses the failover hosts of a destination, given as 'host:port' strings or
+// { host, port } and { socketPath } objects. port is the default port.
+var parseFailover = function nriParseFailover(failover, port, prefix, errors) {
+  if (!Array.isArray(failover)) {
+    errors.push(prefix + 'failover must be a list of hosts');
+    return [];
+  }
+  return failover.map(function(target, idx) {
+    if (typeof target === 'string') {
+      var parts = target.split(':');
+      target = { host: parts[0], port: parts[1] };
+    }
+    if (target === null || typeof target !== 'object' || !(target.host || target.socketPath)) {
+      errors.push(prefix + 'failover[' + idx + '] must be a host:port string or an object with host and port or socketPath');
+      return null;
+    }
+    return { host: target.host || 'localhost', port: parseInt(target.port, 10) || port, socketPath: target.socketPath };
+  }).filter(function(target) {
+    return target !== null;
+  });
+};
+
+// Transport options of a destination: scheme, TLS settings, request path,
+// extra headers, compression and request timeout. The TLS files are read
+// once, on startup.
+var configureTransport = function nriConfigureTransport(settings, prefix, errors) {
+  var tls = settings.tls || {};
+  var transport = {
+    scheme: settings.scheme || 'http',
+    path: settings.path || '/v1/data',
+    headers: settings.headers || {},
+    gzip: Boolean(settings.gzip),
+    timeout: (settings.requestTimeoutSeconds === undefined ? 1 : Number(settings.requestTimeoutSeconds)) * 1000,
+    tls: {}
+  };
+  if (!(transport.timeout > 0)) {
+    errors.push(prefix + 'requestTimeoutSeconds must be a positive number');
+    transport.timeout = 1000;
+  }
+  if (transport.scheme !== 'http' && transport.scheme !== 'https') {
+    errors.push(prefix + 'scheme must be http or https');
+    transport.scheme = 'http';
+  }
+  if (typeof transport.headers !== 'object' || Array.isArray(transport.headers)) {
+    errors.push(prefix + 'headers must be an object with the header values');
+    transport.headers = {};
+  }
+  ['ca', 'cert', 'key'].forEach(function(option) {
+    if (tls[option] === undefined) {
+      return;
+    }
+    try {
+      transport.tls[option] = fs.readFileSync(tls[option]);
+    } catch (e) {
+      errors.push(prefix + 'tls.' + option + ' can\'t be read from ' + tls[option] + ': ' + e.message);
+    }
+  });
+  if (tls.passphrase !== undefined) {
+    transport.tls.passphrase = tls.passphrase;
+  }
+  if (tls.rejectUnauthorized !== undefined) {
+    transport.tls.rejectUnauthorized = Boolean(tls.rejectUnauthorized);
+  }
+  return transport;
+};
+
+var RETRY_LIMITS = ['maxPayloads', 'maxBytes', 'maxAgeSeconds', 'initialBackoffSeconds', 'maxBackoffSeconds'];
+
+// Checks the settings of the retry queue (see lib/retry-queue.js). Returns
+// them without the invalid ones, which use their defaults, or null when
+// payloads aren't retried.
+var configureRetry = function nriConfigureRetry(retry, prefix, errors) {
+  if (!retry) {
+    return null;
+  }
+  if (typeof retry !== 'object' || Array.isArray(retry)) {
+    errors.push(prefix + 'retry must be an object with the settings of the retry queue');
+    return null;
+  }
+  var settings = Object.assign({}, retry);
+  RETRY_LIMITS.forEach(function(option) {
+    if (settings[option] !== undefined && !(Number(settings[option]) > 0)) {
+      errors.push(prefix + 'retry.' + option + ' must be a positive number');
+      delete settings[option];
+    }
+  });
+  if (settings.dropPolicy !== undefined && settings.dropPolicy !== 'oldest' && settings.dropPolicy !== 'newest') {
+    errors.push(prefix + 'retry.dropPolicy must be oldest or newest');
+    delete settings.dropPolicy;
+  }
+  if (settings.spoolDir !== undefined && (typeof settings.spoolDir !== 'string' || settings.spoolDir === '')) {
+    errors.push(prefix + 'retry.spoolDir must be a directory');
+    delete settings.spoolDir;
+  }
+  return settings;
+};
+
+var LABEL_VARIABLE_RE = /\$\{([^}]*)\}/g;
+
+// Resolves the variables of the globalLabels when the backend starts:
+// ${env:NAME} is the environment variable NAME, ${hostname} the name of the
+// host running StatsD and ${flushInterval} the StatsD flush interval in
+// milliseconds. Returns the labels as the 'label.' attributes of the samples.
+Backend.prototype.resolveGlobalLabels = function nriResolveGlobalLabels(labels, prefix, errors) {
+  var self = this;
+  var attributes = {};
+  if (labels === undefined) {
+    return attributes;
+  }
+  if (labels === null || typeof labels !== 'object' || Array.isArray(labels)) {
+    errors.push(prefix + 'globalLabels must be an object');
+    return attributes;
+  }
+  Object.keys(labels).forEach(function(label) {
+    var field = prefix + 'globalLabels.' + label;
+    if (typeof labels[label] !== 'string') {
+      errors.push(field + ' must be a string');
+      return;
+    }
+    var valid = true;
+    var value = labels[label].replace(LABEL_VARIABLE_RE, function(variable, name) {
+      if (name.slice(0, 4) === 'env:') {
+        if (process.env[name.slice(4)] === undefined) {
+          self.log.warn('Environment variable ' + name.slice(4) + ' used by ' + field + ' is not set for backend \'newrelic\'.');
+          return '';
+        }
+        return process.env[name.slice(4)];
+      }
+      if (name === 'hostname') {
+        return os.hostname();
+      }
+      if (name === 'flushInterval') {
+        return String(self.flushInterval);
+      }
+      errors.push(field + ' uses unknown variable ' + variable + '. Supported variables: ${env:NAME}, ${hostname}, ${flushInterval}');
+      valid = false;
+      return variable;
+    });
+    if (valid) {
+      attributes['label.' + label] = value;
+    }
+  });
+  return attributes;
+};
+
+// Settings of a destination with the metricApi output. The API is reached
+// through its URL instead of the host and port, with the API key in a header
+// and, unless disabled, compressed payloads.
+var metricApiSettings = function nriMetricApiSettings(settings, prefix, errors) {
+  var endpoint = url.parse(String(settings.url || metricApi.DEFAULT_URL));
+  if (!settings.apiKey) {
+    errors.push(prefix + 'apiKey is required by the metricApi output');
+  }
+  if (endpoint.protocol !== 'http:' && endpoint.protocol !== 'https:') {
+    errors.push(prefix + 'url must be an http or https URL');
+    endpoint = url.parse(metricApi.DEFAULT_URL);
+  }
+  var scheme = endpoint.protocol.slice(0, -1);
+  return Object.assign({}, settings, {
+    name: settings.name || endpoint.host,
+    scheme: scheme,
+    host: endpoint.hostname,
+    port: endpoint.port || (scheme === 'https' ? 443 : 80),
+    socketPath: undefined,
+    path: endpoint.path,
+    headers: Object.assign({ 'Api-Key': settings.apiKey }, settings.headers),
+    gzip: settings.gzip === undefined ? true : settings.gzip,
+    // Payloads sent again after a timeout are counted twice by the Metric
+    // API, and its requests take longer than the ones to a local agent.
+    requestTimeoutSeconds: settings.requestTimeoutSeconds === undefined ? 10 : settings.requestTimeoutSeconds,
+    // The Metric API rate limits the accounts, so its payloads are retried
+    // unless retry is false.
+    retry: settings.retry === undefined ? {} : settings.retry
+  });
+};
+
+// Builds a destination, an agent the payloads are sent to, from its settings.
+// index is the position of the destination in the 'destinations' list, or
+// null when the 'newrelic' section is the only destination. Destinations
+// without rules use the rules of the 'newrelic' section. Configuration errors
+// are added to errors.
+Backend.prototype.configureDestination = function nriConfigureDestination(settings, index, errors) {
+  var self = this;
+  var prefix = index === null ? '' : 'destinations[' + index + '].';
+  var output = settings.output || 'infrastructure';
+  if (output !== 'infrastructure' && output !== 'metricApi') {
+    errors.push(prefix + 'output must be infrastructure or metricApi');
+    output = 'infrastructure';
+  }
+  if (output === 'metricApi') {
+    settings = metricApiSettings(settings, prefix, errors);
+  }
+  var host = settings.host || 'localhost';
+  var port = parseInt(settings.port, 10) || 8001;
+  var transport = configureTransport(settings, prefix, errors);
+  transport.service = output === 'metricApi' ? 'New Relic Metric API' : 'New Relic Infrastructure Agent';
+  var targets = [{ host: host, port: port, socketPath: settings.socketPath }].concat(parseFailover(settings.failover || [], port, prefix, errors));
+  var destination = {
+    name: settings.name || settings.socketPath || host + ':' + port,
+    // Every target has the transport options, as expected by sendPayload.
+    hosts: targets.map(function(target) {
+      return Object.assign({}, transport, target);
+    }),
+    output: output,
+    splitPayload: output === 'metricApi' ? metricApi.splitPayload : splitPayload,
+    rules: null,
+    ruleIndex: null,
+    statPrefix: '',
+    defaultRule: loadDefaultRule(settings.defaultRule, prefix, errors),
+    metricsLimit: Number(settings.metricsLimit || 150),
+    sendLimitErrors: settings.sendLimitErrors == null ? true : settings.sendLimitErrors,
+    overflowMode: settings.overflowMode || 'drop',
+    maxPayloadBytes: Number(settings.maxPayloadBytes || 0),
+    globalLabels: self.resolveGlobalLabels(settings.globalLabels, prefix, errors),
+    eventTracker: new EventTracker(),
+    cardinality: new CardinalityLimiter(),
+    // The queue is created by configure once the configuration is applied,
+    // as it loads the payloads of the spool directory.
+    retry: configureRetry(settings.retry, prefix, errors),
+    retryQueue: null
+  };
+  if (output === 'metricApi') {
+    destination.maxPayloadBytes = Math.min(destination.maxPayloadBytes || metricApi.MAX_PAYLOAD_BYTES, metricApi.MAX_PAYLOAD_BYTES);
+  }
+
+  if (index !== null && settings.rules !== undefined) {
+    var validation = ruleUtils.validate(settings.rules);
+    validation.errors.forEach(function(error) {
+      errors.push(prefix + ruleUtils.formatError(error));
+    });
+    destination.rules = validation.rules;
+    destination.ruleIndex = new RuleIndex(validation.rules, validation.indexes);
+    destination.statPrefix = 'destination_' + index + '_';
+  }
+  destination.compiledDefaultRule = destination.defaultRule && new RuleIndex.CompiledRule(destination.defaultRule, -1);
+  if (destination.overflowMode !== 'drop' && destination.overflowMode !== 'split') {
+    errors.push(prefix + 'overflowMode must be drop or split');
+    destination.overflowMode = 'drop';
+  }
+  destination.matchMode = settings.matchMode || 'all';
+  if (destination.matchMode !== 'all' && destination.matchMode !== 'first') {
+    errors.push(prefix + 'matchMode must be all or first');
+    destination.matchMode = 'all';
+  }
+  destination.protocolVersion = Number(settings.protocolVersion || 1);
+  if (destination.protocolVersion !== 1 && destination.protocolVersion !== 2) {
+    errors.push(prefix + 'protocolVersion must be 1 or 2');
+    destination.protocolVersion = 1;
+  }
+  return destination;
+};
+
+Backend.prototype.createRetryQueue = function nriCreateRetryQueue(destination) {
+  var self = this;
+  destination.retryQueue = new RetryQueue(destination.retry, function(payload, callback) {
+    self.sendToDestination(destination, payload, callback);
+  }, self.log);
+};
+
+// Destinations that inherit the retry of the 'newrelic' section spool to a
+// subdirectory each of its spoolDir. A destination whose spoolDir is used by
+// a previous one has no retry queue, as both would load the same payloads.
+var destinationsSettings = function nriDestinationsSettings(newrelic, errors) {
+  var common = Object.assign({}, newrelic);
+  delete common.rules;
+  var spoolDirs = {};
+  return newrelic.destinations.map(function(options, idx) {
+    var settings = Object.assign({}, common, options);
+    // Invalid spool directories are reported by configureRetry.
+    var spoolDir = settings.retry && typeof settings.retry.spoolDir === 'string' && settings.retry.spoolDir;
+    if (spoolDir && !options.retry) {
+      settings.retry = Object.assign({}, settings.retry, { spoolDir: path.join(spoolDir, 'destination-' + idx) });
+      spoolDir = settings.retry.spoolDir;
+    }
+    if (spoolDir) {
+      spoolDir = path.resolve(spoolDir);
+      if (spoolDirs.hasOwnProperty(spoolDir)) {
+        errors.push('destinations[' + idx + '].retry.spoolDir is already used by destinations[' + spoolDirs[spoolDir] + ']');
+        delete settings.retry;
+      } else {
+        spoolDirs[spoolDir] = idx;
+      }
+    }
+    return settings;
+  });
+};
+
+// Applies the StatsD configuration. Returns the configuration errors, which
+// are logged. Rules with errors are disabled, unless the 'strict' option is
+// set, in which case nothing is applied.
+Backend.prototype.configure = function nriConfigure(startupTime, config) {
+  var self = this;
+  var errors = [];
+  self.flushInterval = Number(config.flushInterval || 10000);
   if (config.newrelic) {
-    host = config.newrelic.host || 'localhost';
-    port = parseInt(config.newrelic.port, 10) || 8001;
-    rules = config.newrelic.rules || [];
-    metricsLimit = Number(config.newrelic.metricsLimit || 150)
-    if (config.newrelic.sendLimitErrors == null) {
-      sendLimitErrors = true;
+    var configuredRules = config.newrelic.rules || [];
+    var signature = null;
+    if (config.newrelic.rulesFile) {
+      signature = fileSignature(config.newrelic.rulesFile);
+      try {
+        configuredRules = ruleUtils.load(config.newrelic.rulesFile);
+      } catch (e) {
+        configuredRules = [];
+        errors.push('rules can\'t be loaded from ' + config.newrelic.rulesFile + ': ' + e.message);
+      }
+    }
+    var validation = ruleUtils.validate(configuredRules);
+    validation.errors.forEach(function(error) {
+      errors.push(ruleUtils.formatError(error));
+    });
+
+    var configuredDestinations;
+    if (config.newrelic.destinations) {
+      // Destinations take the options they don't set from the 'newrelic'
+      // section, but not its rules.
+      configuredDestinations = destinationsSettings(config.newrelic, errors).map(function(settings, idx) {
+        return self.configureDestination(settings, idx, errors);
+      });
     } else {
-      sendLimitErrors = config.newrelic.sendLimitErrors;
+      configuredDestinations = [self.configureDestination(config.newrelic, null, errors)];
     }
+
+    var sendInterval = Number(config.newrelic.sendInterval || self.flushInterval);
+    if (!(sendInterval >= self.flushInterval)) {
+      errors.push('sendInterval must be a number of milliseconds not shorter than the StatsD flushInterval (' + self.flushInterval + ')');
+      sendInterval = self.flushInterval;
+    }
+
+    var tagFormat = config.newrelic.tagFormat || 'dogstatsd';
+    var parseTags = tagParsers.parser(tagFormat);
+    if (parseTags === null) {
+      errors.push('tagFormat must be one of ' + tagParsers.formats.join(', '));
+      parseTags = tagParsers.parser('dogstatsd');
+    }
+
+    errors.forEach(function(error) {
+      self.log.error('Invalid configuration for backend \'newrelic\': ' + error);
+    });
+    if (errors.length > 0) {
+      if (config.newrelic.strict) {
+        return errors;
+      }
+      self.log.warn('Rules and options with configuration errors are ignored for backend \'newrelic\'. Enabled rules: ' + validation.rules.length);
+    }
+    self.rules = validation.rules;
+    self.ruleIndex = new RuleIndex(self.rules, validation.indexes);
+    self.destinations = configuredDestinations;
+    self.destinations.forEach(function(destination) {
+      if (destination.retry) {
+        self.createRetryQueue(destination);
+      }
+    });
+    self.resetRuleStats();
+    self.stats.rules_version = 1;
+    self.stats.rules_reloads = 0;
+    self.stats.rules_reload_failures = 0;
+    self.watchRulesFile(config.newrelic.rulesFile || null, Number(config.newrelic.rulesFileIntervalSeconds || 5), signature);
+    self.parseTags = parseTags;
+    self.sendBackendSample = Boolean(config.newrelic.sendBackendSample);
+    self.sendInterval = sendInterval;
+    self.rollup = sendInterval > self.flushInterval ? new Rollup(self.flushInterval) : null;
+    if (config.newrelic.diagnostics) {
+      self.diagnostics = new Diagnostics(config.newrelic.diagnostics === true ? {} : config.newrelic.diagnostics);
+    } else {
+      self.diagnostics = null;
+    }
+  }
+
+  self.stats.last_flush = startupTime;
+  self.stats.last_exception = startupTime;
+  self.stats.request_latency = 0;
+  Object.keys(COUNTER_STATS).forEach(function(stat) {
+    self.stats[stat] = 0;
+  });
+  self.updateRetryStats();
+  return errors;
+};
+
+// Flushes the metrics without sending anything, for the rule previewer (see
+// lib/preview.js). The trace receives the payloads and what happened to every
+// key, with these methods:
+//
+//   matched(destination, key, metricType, ruleIndex), -1 for the defaultRule
+//   unmatched(destination, key, metricType)
+//   schemaRejected(destination, key, attribute, ruleIndex)
+//   overLimit(destination, entityId, eventType, attributes, outcome)
+//   payload(destination, payload)
+Backend.prototype.preview = function nriPreview(timestamp, rawMetrics, trace) {
+  this.trace = trace;
+  try {
+    this.send(timestamp, rawMetrics, this.flushInterval);
+  } finally {
+    this.trace = null;
+  }
+};
+
+// Backends with a sendInterval, closed when StatsD is stopped so the metrics
+// they rolled up aren't lost. StatsD handles SIGTERM itself, calling
+// process.exit() right away, so the handlers registered before the first of
+// these backends are set aside while they wait: on a signal the backends are
+// closed first, and the handlers set aside for it run once they are done.
+// Without any, the signal is raised again.
+var SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM'];
+var rollupBackends = [];
+// By signal, the handler closing the backends and the handlers set aside, or
+// null while there are no backends to close.
+var shutdownHandlers = null;
+
+// Gives the signals back to the handlers set aside.
+var restoreSignalHandlers = function nriRestoreSignalHandlers() {
+  SHUTDOWN_SIGNALS.forEach(function(signal) {
+    process.removeListener(signal, shutdownHandlers[signal].handler);
+    shutdownHandlers[signal].previous.forEach(function(listener) {
+      process.on(signal, listener);
+    });
+  });
+  shutdownHandlers = null;
+};
+
+var closeOnShutdown = function nriCloseOnShutdown(backend) {
+  rollupBackends.push(backend);
+  if (shutdownHandlers !== null) {
+    return;
   }
+  shutdownHandlers = {};
+  SHUTDOWN_SIGNALS.forEach(function(signal) {
+    var previous = process.listeners(signal);
+    var handler = function() {
+      // A second signal goes to the handlers set aside right away.
+      restoreSignalHandlers();
+      var backends = rollupBackends.splice(0);
+      var pending = backends.length;
+      backends.forEach(function(closing) {
+        closing.close(function() {
+          if (--pending > 0) {
+            return;
+          }
+          if (previous.length === 0) {
+            process.kill(process.pid, signal);
+            return;
+          }
+          previous.forEach(function(listener) {
+            listener.call(process, signal);
+          });
+        });
+      });
+    };
+    previous.forEach(function(listener) {
+      process.removeListener(signal, listener);
+    });
+    process.on(signal, handler);
+    shutdownHandlers[signal] = { handler: handler, previous: previous };
+  });
+};
 
-  nriStats.last_flush = startupTime;
-  nriStats.last_exception = startupTime;
+// Stops closing a backend on shutdown, once it's closed.
+var releaseOnShutdown = function nriReleaseOnShutdown(backend) {
+  var index = rollupBackends.indexOf(backend);
+  if (index < 0) {
+    return;
+  }
+  rollupBackends.splice(index, 1);
+  if (rollupBackends.length === 0) {
+    restoreSignalHandlers();
+  }
+};
+
+// Creates a backend configured with the StatsD configuration, which isn't
+// attached to any StatsD instance, as used by the rule previewer (see
+// Backend.prototype.preview). Returns null when the configuration has errors
+// and the 'strict' option is set.
+var createBackend = function nriCreateBackend(startupTime, config, logger) {
+  var logLevel = (config.newrelic && config.newrelic.logLevel) || (config.debug ? 'debug' : 'info');
+  var backend = new Backend(logger, logLevel);
+  if (Logger.levels.indexOf(logLevel) < 0) {
+    backend.log.warn('Unsupported logLevel ' + logLevel + ' for backend \'newrelic\'. Supported levels: ' + Logger.levels.join(', ') + '. Falling back to info.');
+  }
+  var errors = backend.configure(startupTime, config);
+  if (errors.length > 0 && config.newrelic.strict) {
+    return null;
+  }
+  return backend;
+};
 
-  events.on('flush', flushMetrics);
-  events.on('status', backendStatus);
+// Creates a backend for the StatsD instance emitting the events. Every call
+// creates a new backend, independent from the ones created before.
+exports.init = function nriInitBackend(startupTime, config, events, logger) {
+  var backend = createBackend(startupTime, config, logger);
+  if (backend === null) {
+    return false;
+  }
+
+  if (backend.rollup !== null) {
+    closeOnShutdown(backend);
+  }
+  events.on('flush', function(timestamp, rawMetrics) {
+    backend.flush(timestamp, rawMetrics);
+  });
+  events.on('status', function(writeCb) {
+    backend.status(writeCb);
+  });
   return true;
 };
+
+exports.createBackend = createBackend;
+exports.Backend = Backend;
+
+/*
+ * Library API, to build and send the payloads from a StatsD metrics object
+ * without a StatsD instance, as custom flush exporters and test harnesses do.
+ *
+ * options are the options of the 'newrelic' section that shape the samples
+ * and payloads: rules, tagFormat, matchMode, defaultRule, protocolVersion,
+ * metricsLimit, overflowMode, sendLimitErrors and globalLabels, plus the
+ * StatsD flushInterval. sendPayload also takes the options of the agent:
+ * host, port, socketPath, failover, scheme, tls, path, headers and gzip, or
+ * output, url and apiKey for the Metric API.
+ *
+ * Every call starts from scratch and leaves nothing behind: there are no
+ * stats, events, retries or rules file, and tag limits only apply within the
+ * call. Invalid options throw an Error with the configuration errors.
+ * Messages are logged to options.logger, a StatsD logger, when it's set.
+ */
+
+var libraryBackend = function nriLibraryBackend(options) {
+  options = options || {};
+  var backend = new Backend(options.logger || { log: function() {} }, options.logLevel);
+  var settings = Object.assign({}, options, {
+    destinations: undefined,
+    rulesFile: undefined,
+    retry: false,
+    diagnostics: undefined,
+    sendBackendSample: false
+  });
+  var errors = backend.configure(null, { flushInterval: options.flushInterval, newrelic: settings });
+  if (errors.length > 0) {
+    throw new Error('Invalid options for backend \'newrelic\': ' + errors.join('; '));
+  }
+  return backend;
+};
+
+// Splits a StatsD key into its name and tags, as { name: 'myapp.hits', tags:
+// { env: 'prod' } }. tagFormat is one of the formats of lib/tags.js,
+// 'dogstatsd' by default.
+exports.parseTags = function nriParseTags(namePlusTags, tagFormat) {
+  var parser = tagParsers.parser(tagFormat || 'dogstatsd');
+  if (parser === null) {
+    throw new Error('Unsupported tagFormat ' + tagFormat + '. Supported formats: ' + tagParsers.formats.join(', '));
+  }
+  return parser(namePlusTags);
+};
+
+// Applies the rules to the metrics of a StatsD flush, with the counters,
+// counter_rates, gauges, timer_data and sets of the keys. Returns the samples
+// by entity, for composePayload: { entityId: { entity: { name, type },
+// metrics: { eventType: attributes }, ... } }.
+exports.collectMetrics = function nriCollectMetrics(rawMetrics, options) {
+  var backend = libraryBackend(options);
+  return backend.sanitizeMetrics(backend.deriveMetrics(backend.collectMetrics(rawMetrics, backend.destinations[0])));
+};
+
+// Composes the Infrastructure payload of the samples returned by
+// collectMetrics, which are left untouched. Entities built by hand only need
+// the entity and the metrics by event type; without the rules, types and
+// dimensions of collectMetrics, every attribute is sent as is.
+exports.composePayload = function nriComposePayload(data, options) {
+  var backend = libraryBackend(options);
+  var copy = {};
+  Object.keys(data).forEach(function(entityId) {
+    var metrics = {};
+    Object.keys(data[entityId].metrics).forEach(function(eventType) {
+      metrics[eventType] = Object.assign({}, data[entityId].metrics[eventType]);
+    });
+    copy[entityId] = Object.assign({ rules: {}, types: {}, dimensions: {} }, data[entityId], {
+      metrics: metrics,
+      inventory: Object.assign({}, data[entityId].inventory)
+    });
+  });
+  return backend.composePayload(EventTracker.inventory(copy), backend.destinations[0]);
+};
+
+// Sends a payload, as an object or its JSON, to the agent, trying the
+// failover hosts when it's unavailable. callback is optional and called once
+// with an error when the payload couldn't be delivered and could be sent
+// again later.
+exports.sendPayload = function nriSendPayload(payload, options, callback) {
+  var backend = libraryBackend(options);
+  backend.sendToDestination(backend.destinations[0], typeof payload === 'string' ? payload : JSON.stringify(payload), callback);
+};
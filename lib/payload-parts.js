@@ -0,0 +1,43 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Parts of a payload too big for a request, used to split the payloads of
+ * the Infrastructure Agent and of the Metric API. Every part keeps the size
+ * of its JSON up to date as elements are added to its arrays, so the parts
+ * stay under maxBytes without serializing them again.
+ */
+
+// Size in bytes of the JSON of a value.
+var size = function size(obj) {
+  return Buffer.byteLength(JSON.stringify(obj));
+};
+
+var PayloadParts = function PayloadParts(maxBytes) {
+  this.maxBytes = maxBytes;
+  this.payloads = [];
+  this.currentSize = 0;
+};
+
+// Starts a new part with the empty payload and returns it.
+PayloadParts.prototype.start = function start(payload) {
+  this.payloads.push(payload);
+  this.currentSize = size(payload);
+  return payload;
+};
+
+// Whether an element of that size can be added to an array of the current
+// part.
+PayloadParts.prototype.fits = function fits(bytes) {
+  // Adding an element to a non-empty array also adds a comma.
+  return this.currentSize + bytes + 1 <= this.maxBytes;
+};
+
+// Adds an element of the current part, whose size was already computed.
+PayloadParts.prototype.add = function add(array, element, bytes) {
+  array.push(element);
+  this.currentSize += bytes + 1;
+};
+
+PayloadParts.size = size;
+
+module.exports = PayloadParts;
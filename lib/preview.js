@@ -0,0 +1,378 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Rule previewer: prints the payloads the backend would send for some sample
+ * metrics, and what the rules did with every key, without sending anything.
+ * Used by bin/newrelic-infra-preview:
+ *
+ *   newrelic-infra-preview [--metrics file.json | --lines file] config.js
+ *
+ * The configuration is a StatsD configuration file, or only its 'newrelic'
+ * section, as JSON or as a JS object. The metrics are read from stdin unless
+ * a file is given:
+ *
+ *   --metrics: JSON dump of the metrics object of a StatsD flush. Sets are
+ *              lists of their members.
+ *   --lines: StatsD lines ('name:1|c', 'name:3|g', 'name:12|ms',
+ *            'name:a|s'), aggregated as StatsD does for a single flush.
+ *            DogStatsD tags ('|#k:v') are appended to the name as '#k:v'.
+ *   --timestamp: Time of the flush in seconds. Defaults to now.
+ *
+ * Spool directories are ignored, so their spooled payloads aren't sent. Exits
+ * with 1 when the configuration has errors and 2 when the arguments or the
+ * metrics are wrong.
+ */
+
+var fs = require('fs');
+var vm = require('vm');
+var nri = require('./newrelic-infra');
+
+var USAGE = 'Usage: newrelic-infra-preview [--metrics file.json | --lines file] [--timestamp seconds] config';
+
+// Reads a StatsD configuration from JSON or a JS object. Files without a
+// 'newrelic' key are taken as the 'newrelic' section.
+var loadConfig = function loadConfig(file) {
+  var text = fs.readFileSync(file, 'utf8');
+  var config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    config = vm.runInNewContext('(' + text + '\n)', {}, { filename: file });
+  }
+  if (config === null || typeof config !== 'object') {
+    throw new Error(file + ' doesn\'t contain a configuration object');
+  }
+  if (!config.hasOwnProperty('newrelic')) {
+    config = { newrelic: config };
+  }
+  return config;
+};
+
+// Removes the spool directories of the retry settings, which would load and
+// send the payloads in them. The rest of settings are still checked.
+var withoutSpool = function withoutSpool(settings) {
+  if (settings.retry && typeof settings.retry === 'object' && !Array.isArray(settings.retry)) {
+    settings.retry = Object.assign({}, settings.retry);
+    delete settings.retry.spoolDir;
+  }
+  return settings;
+};
+
+var withoutSpoolDirs = function withoutSpoolDirs(config) {
+  var newrelic = withoutSpool(Object.assign({}, config.newrelic));
+  if (Array.isArray(newrelic.destinations)) {
+    newrelic.destinations = newrelic.destinations.map(function(destination) {
+      return withoutSpool(Object.assign({}, destination));
+    });
+  }
+  return Object.assign({}, config, { newrelic: newrelic });
+};
+
+// Sets like the ones of StatsD, with their members.
+var statsdSet = function statsdSet(members) {
+  return {
+    size: function() { return members.length; },
+    values: function() { return members.slice(); }
+  };
+};
+
+// Metrics from the JSON dump of a flush.
+var fromDump = function fromDump(dump) {
+  var metrics = Object.assign({}, dump);
+  var sets = {};
+  Object.keys(dump.sets || {}).forEach(function(key) {
+    var members = dump.sets[key];
+    if (!Array.isArray(members)) {
+      members = Object.keys((members && members.store) || {});
+    }
+    sets[key] = statsdSet(members);
+  });
+  metrics.sets = sets;
+  return metrics;
+};
+
+var timerStats = function timerStats(values, flushInterval, percentThresholds) {
+  var sorted = values.slice().sort(function(a, b) { return a - b; });
+  var count = sorted.length;
+  var sum = sorted.reduce(function(total, value) { return total + value; }, 0);
+  var mean = sum / count;
+  var variance = sorted.reduce(function(total, value) { return total + Math.pow(value - mean, 2); }, 0) / count;
+  var middle = Math.floor(count / 2);
+  var stats = {
+    count: count,
+    count_ps: count / (flushInterval / 1000),
+    lower: sorted[0],
+    upper: sorted[count - 1],
+    sum: sum,
+    mean: mean,
+    median: count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    std: Math.sqrt(variance)
+  };
+  percentThresholds.forEach(function(pct) {
+    var selected = sorted.slice(0, Math.round(pct / 100 * count));
+    if (selected.length === 0) {
+      return;
+    }
+    var selectedSum = selected.reduce(function(total, value) { return total + value; }, 0);
+    var suffix = String(pct).replace('.', '_');
+    stats['count_' + suffix] = selected.length;
+    stats['upper_' + suffix] = selected[selected.length - 1];
+    stats['sum_' + suffix] = selectedSum;
+    stats['mean_' + suffix] = selectedSum / selected.length;
+  });
+  return stats;
+};
+
+// Aggregates StatsD lines into the metrics of a single flush. Throws on lines
+// that can't be parsed.
+var parseLines = function parseLines(text, flushInterval, percentThresholds) {
+  var counters = {};
+  var gauges = {};
+  var timers = {};
+  var sets = {};
+  text.split(/\r?\n/).forEach(function(line, idx) {
+    if (line.trim() === '') {
+      return;
+    }
+    var bits = line.trim().split(':');
+    var key = bits.shift();
+    if (bits.length === 0) {
+      throw new Error('Line ' + (idx + 1) + ' has no value: ' + line);
+    }
+    // Values can contain ':' in their tags, so the fields are split first.
+    var fields = bits.join(':').split('|');
+    var value = fields[0];
+    var type = fields[1];
+    var sampleRate = 1;
+    fields.slice(2).forEach(function(field) {
+      if (field.charAt(0) === '@') {
+        sampleRate = Number(field.slice(1));
+      } else if (field.charAt(0) === '#') {
+        key += field;
+      }
+    });
+    if (type !== 's' && !isFinite(Number(value))) {
+      throw new Error('Line ' + (idx + 1) + ' has an invalid value: ' + line);
+    }
+    switch (type) {
+    case 'c':
+      counters[key] = (counters[key] || 0) + Number(value) / sampleRate;
+      break;
+    case 'g':
+      gauges[key] = /^[-+]/.test(value) ? (gauges[key] || 0) + Number(value) : Number(value);
+      break;
+    case 'ms':
+    case 'h':
+      timers[key] = timers[key] || [];
+      timers[key].push(Number(value));
+      break;
+    case 's':
+      sets[key] = sets[key] || {};
+      sets[key][value] = true;
+      break;
+    default:
+      throw new Error('Line ' + (idx + 1) + ' has an unsupported metric type: ' + line);
+    }
+  });
+
+  var metrics = { counters: counters, counter_rates: {}, gauges: gauges, timers: timers, timer_data: {}, sets: {} };
+  Object.keys(counters).forEach(function(key) {
+    metrics.counter_rates[key] = counters[key] / (flushInterval / 1000);
+  });
+  Object.keys(timers).forEach(function(key) {
+    metrics.timer_data[key] = timerStats(timers[key], flushInterval, percentThresholds);
+  });
+  Object.keys(sets).forEach(function(key) {
+    metrics.sets[key] = statsdSet(Object.keys(sets[key]));
+  });
+  return metrics;
+};
+
+// Collects what happened to every key and the payloads of every destination.
+var Trace = function Trace() {
+  this.destinations = [];
+  this.byName = {};
+};
+
+Trace.prototype.destination = function destination(dest) {
+  if (!this.byName.hasOwnProperty(dest.name)) {
+    this.byName[dest.name] = { destination: dest, keys: {}, samples: [], payloads: [] };
+    this.destinations.push(this.byName[dest.name]);
+  }
+  return this.byName[dest.name];
+};
+
+// metricType is null when it isn't known yet.
+Trace.prototype.key = function key(dest, name, metricType) {
+  var keys = this.destination(dest).keys;
+  keys[name] = keys[name] || { metricType: null, matched: [], rejected: [] };
+  keys[name].metricType = keys[name].metricType || metricType;
+  return keys[name];
+};
+
+Trace.prototype.matched = function matched(dest, name, metricType, ruleIndex) {
+  var entry = this.key(dest, name, metricType);
+  if (entry.matched.indexOf(ruleIndex) < 0) {
+    entry.matched.push(ruleIndex);
+  }
+};
+
+Trace.prototype.unmatched = function unmatched(dest, name, metricType) {
+  this.key(dest, name, metricType);
+};
+
+Trace.prototype.schemaRejected = function schemaRejected(dest, name, attribute, ruleIndex) {
+  this.key(dest, name, null).rejected.push({ rule: ruleIndex, attribute: attribute });
+};
+
+Trace.prototype.overLimit = function overLimit(dest, entityId, eventType, attributes, outcome) {
+  this.destination(dest).samples.push({ entityId: entityId, eventType: eventType, attributes: attributes, outcome: outcome });
+};
+
+Trace.prototype.payload = function payload(dest, part) {
+  this.destination(dest).payloads.push(part);
+};
+
+var ruleName = function ruleName(index) {
+  return index < 0 ? 'defaultRule' : 'rules[' + index + ']';
+};
+
+// Text with the payloads and the annotations of every destination.
+Trace.prototype.format = function format() {
+  var lines = [];
+  this.destinations.forEach(function(entry) {
+    var dest = entry.destination;
+    lines.push('Destination ' + dest.name + ' (' + dest.output + ')');
+    lines.push('');
+    if (entry.payloads.length === 0) {
+      lines.push('Nothing to send.');
+      lines.push('');
+    }
+    entry.payloads.forEach(function(part, idx) {
+      lines.push('Payload ' + (idx + 1) + ' of ' + entry.payloads.length + ':');
+      lines.push(JSON.stringify(part, null, 2));
+      lines.push('');
+    });
+    lines.push('Keys:');
+    Object.keys(entry.keys).sort().forEach(function(name) {
+      var key = entry.keys[name];
+      var notes = [];
+      // Rules rejecting a key by its length still match it.
+      var rejecting = key.rejected.map(function(rejection) {
+        return rejection.rule;
+      });
+      var matched = key.matched.filter(function(rule) {
+        return rejecting.indexOf(rule) < 0;
+      });
+      if (matched.length > 0) {
+        notes.push('matched by ' + matched.map(ruleName).join(', '));
+      }
+      key.rejected.forEach(function(rejection) {
+        notes.push('rejected by ' + ruleName(rejection.rule) + ': ' + rejection.attribute + ' has less elements than its metricSchema');
+      });
+      if (notes.length === 0) {
+        notes.push('not matched by any rule');
+      }
+      lines.push('  ' + name + (key.metricType ? ' (' + key.metricType + ')' : '') + ': ' + notes.join('; '));
+    });
+    if (entry.samples.length > 0) {
+      lines.push('');
+      lines.push('Samples over metricsLimit (' + dest.metricsLimit + '):');
+      entry.samples.forEach(function(sample) {
+        lines.push('  ' + sample.eventType + ' of ' + sample.entityId + ' has ' + sample.attributes + ' attributes: ' + sample.outcome);
+      });
+    }
+    lines.push('');
+  });
+  return lines.join('\n');
+};
+
+var parseArgs = function parseArgs(argv) {
+  var args = { config: null, metrics: null, lines: null, timestamp: Math.round(Date.now() / 1000) };
+  for (var idx = 0; idx < argv.length; idx++) {
+    var arg = argv[idx];
+    if (arg === '--metrics' || arg === '--lines' || arg === '--timestamp') {
+      if (idx + 1 >= argv.length) {
+        throw new Error(arg + ' requires a value');
+      }
+      args[arg.slice(2)] = argv[++idx];
+    } else if (arg.charAt(0) === '-' && arg !== '-') {
+      throw new Error('Unknown option ' + arg);
+    } else if (args.config === null) {
+      args.config = arg;
+    } else {
+      throw new Error('Unexpected argument ' + arg);
+    }
+  }
+  if (args.config === null) {
+    throw new Error('The configuration file is required');
+  }
+  if (args.metrics !== null && args.lines !== null) {
+    throw new Error('--metrics can\'t be used together with --lines');
+  }
+  args.timestamp = Number(args.timestamp);
+  if (!isFinite(args.timestamp)) {
+    throw new Error('--timestamp must be a number of seconds');
+  }
+  return args;
+};
+
+var readInput = function readInput(file) {
+  return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+};
+
+// Runs the previewer with the command line arguments. out and err are
+// writable streams. Returns the exit code.
+exports.main = function main(argv, out, err) {
+  var args, config, metrics;
+  try {
+    args = parseArgs(argv);
+  } catch (e) {
+    err.write(e.message + '\n' + USAGE + '\n');
+    return 2;
+  }
+
+  try {
+    config = withoutSpoolDirs(loadConfig(args.config));
+  } catch (e) {
+    err.write('Invalid configuration: ' + e.message + '\n');
+    return 1;
+  }
+  var errors = 0;
+  var logger = {
+    log: function(message, type) {
+      if (type === 'ERR') {
+        errors++;
+        err.write('Error: ' + message + '\n');
+      } else if (type === 'WARNING') {
+        err.write('Warning: ' + message + '\n');
+      }
+    }
+  };
+  var backend = nri.createBackend(args.timestamp, config, logger);
+  if (backend === null || errors > 0) {
+    return 1;
+  }
+
+  try {
+    var flushInterval = Number(config.flushInterval || 10000);
+    if (args.metrics !== null) {
+      metrics = fromDump(JSON.parse(readInput(args.metrics)));
+    } else {
+      metrics = parseLines(readInput(args.lines || '-'), flushInterval, config.percentThreshold ? [].concat(config.percentThreshold) : [90]);
+    }
+  } catch (e) {
+    err.write('Invalid metrics: ' + e.message + '\n');
+    return 2;
+  }
+
+  var trace = new Trace();
+  backend.preview(args.timestamp, metrics, trace);
+  out.write(trace.format());
+  return 0;
+};
+
+exports.loadConfig = loadConfig;
+exports.fromDump = fromDump;
+exports.parseLines = parseLines;
+exports.Trace = Trace;
@@ -0,0 +1,263 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Bounded queue of payloads that couldn't be delivered to the New Relic
+ * Infrastructure Agent. Queued payloads are retried in order with an
+ * exponential backoff.
+ *
+ * Supported options:
+ *
+ *   maxPayloads: Maximum number of queued payloads. Defaults to 100.
+ *   maxBytes: Maximum size in bytes of all the queued payloads. Defaults to
+ *             10 MiB.
+ *   maxAgeSeconds: Payloads older than this are discarded instead of sent.
+ *                  Defaults to 600.
+ *   initialBackoffSeconds: Delay before the first retry. Defaults to 1.
+ *   maxBackoffSeconds: Upper bound for the delay between retries. Defaults
+ *                      to 60.
+ *   dropPolicy: Which payload is discarded when the queue is full: 'oldest'
+ *               (default) or 'newest'.
+ *   spoolDir: Optional directory where queued payloads are also written, so
+ *             they survive a StatsD restart.
+ *
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var SPOOL_FILE_RE = /^nri-\d+-\d+\.json$/;
+
+// Creates the directory and its missing parents, as the spool directories of
+// the destinations are subdirectories of the configured one.
+var makeDirectory = function makeDirectory(dir) {
+  try {
+    fs.mkdirSync(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT' && path.dirname(dir) !== dir) {
+      makeDirectory(path.dirname(dir));
+      fs.mkdirSync(dir);
+    } else if (e.code !== 'EEXIST') {
+      throw e;
+    }
+  }
+};
+
+// logger is a Logger (see lib/logger.js).
+var RetryQueue = function RetryQueue(options, send, logger) {
+  options = options || {};
+  this.maxPayloads = Number(options.maxPayloads || 100);
+  this.maxBytes = Number(options.maxBytes || 10 * 1024 * 1024);
+  this.maxAge = Number(options.maxAgeSeconds || 600) * 1000;
+  this.initialBackoff = Number(options.initialBackoffSeconds || 1) * 1000;
+  this.maxBackoff = Number(options.maxBackoffSeconds || 60) * 1000;
+  this.dropPolicy = options.dropPolicy === 'newest' ? 'newest' : 'oldest';
+  this.spoolDir = options.spoolDir || null;
+  this.send = send;
+  this.logger = logger;
+
+  this.items = [];
+  this.bytes = 0;
+  this.dropped = 0;
+  this.failures = 0;
+  this.sequence = 0;
+  this.timer = null;
+  this.sending = false;
+  // Time before which nothing is sent, as asked by the server.
+  this.retryAt = 0;
+
+  if (this.spoolDir) {
+    this.loadSpool();
+  }
+};
+
+RetryQueue.prototype.length = function length() {
+  return this.items.length;
+};
+
+// Adds a payload that failed to be sent and schedules a retry. Returns false
+// when the payload was discarded because of the queue limits.
+RetryQueue.prototype.push = function push(payload, createdAt) {
+  var item = {
+    payload: payload,
+    bytes: Buffer.byteLength(payload),
+    createdAt: createdAt || Date.now(),
+    file: null
+  };
+
+  this.expire();
+  if (item.bytes > this.maxBytes) {
+    this.drop(item, 'it is bigger than the queue maxBytes');
+    return false;
+  }
+  while (this.items.length > 0 && (this.items.length >= this.maxPayloads || this.bytes + item.bytes > this.maxBytes)) {
+    if (this.dropPolicy === 'newest') {
+      this.drop(item, 'the retry queue is full');
+      return false;
+    }
+    this.drop(this.items[0], 'the retry queue is full');
+  }
+
+  this.items.push(item);
+  this.bytes += item.bytes;
+  this.spool(item);
+  this.schedule();
+  return true;
+};
+
+RetryQueue.prototype.stats = function stats() {
+  return {
+    retry_queue_length: this.items.length,
+    retry_queue_bytes: this.bytes,
+    retry_dropped_payloads: this.dropped
+  };
+};
+
+RetryQueue.prototype.backoff = function backoff() {
+  var delay = this.initialBackoff * Math.pow(2, Math.max(this.failures - 1, 0));
+  return Math.max(Math.min(delay, this.maxBackoff), this.retryAt - Date.now());
+};
+
+// Delays the next retry by at least delay milliseconds, the Retry-After of a
+// rate limited payload. Ignored when delay is null.
+RetryQueue.prototype.retryAfter = function retryAfter(delay) {
+  if (delay != null) {
+    this.retryAt = Math.max(this.retryAt, Date.now() + delay);
+  }
+};
+
+RetryQueue.prototype.schedule = function schedule() {
+  var self = this;
+  if (this.timer || this.sending || this.items.length === 0) {
+    return;
+  }
+  this.timer = setTimeout(function() {
+    self.timer = null;
+    self.drain();
+  }, this.backoff());
+  if (this.timer.unref) {
+    this.timer.unref();
+  }
+};
+
+// Sends the queued payloads one at a time, oldest first. Stops at the first
+// failure and waits for the next backoff period.
+RetryQueue.prototype.drain = function drain() {
+  var self = this;
+  this.expire();
+  if (this.items.length === 0) {
+    this.failures = 0;
+    return;
+  }
+
+  var item = this.items[0];
+  this.sending = true;
+  this.send(item.payload, function(err) {
+    self.sending = false;
+    if (err) {
+      self.failures++;
+      self.retryAfter(err.retryAfter);
+      self.logger.debug('Retry of queued payload failed (' + self.items.length + ' queued). Error: ' + err.message);
+      self.schedule();
+      return;
+    }
+    self.failures = 0;
+    self.remove(item);
+    self.drain();
+  });
+};
+
+RetryQueue.prototype.expire = function expire() {
+  var now = Date.now();
+  while (this.items.length > 0 && now - this.items[0].createdAt > this.maxAge) {
+    this.drop(this.items[0], 'it is older than ' + (this.maxAge / 1000) + ' seconds');
+  }
+};
+
+RetryQueue.prototype.remove = function remove(item) {
+  var idx = this.items.indexOf(item);
+  if (idx >= 0) {
+    this.items.splice(idx, 1);
+    this.bytes -= item.bytes;
+  }
+  this.unspool(item);
+};
+
+RetryQueue.prototype.drop = function drop(item, reason) {
+  if (this.items.indexOf(item) >= 0) {
+    this.remove(item);
+  } else {
+    this.unspool(item);
+  }
+  this.dropped++;
+  this.logger.warn('Dropping payload of ' + item.bytes + ' bytes because ' + reason + '.');
+};
+
+RetryQueue.prototype.spool = function spool(item) {
+  if (!this.spoolDir || item.file) {
+    return;
+  }
+  var file = path.join(this.spoolDir, 'nri-' + item.createdAt + '-' + (this.sequence++) + '.json');
+  try {
+    fs.writeFileSync(file, item.payload);
+    item.file = file;
+  } catch (e) {
+    this.logger.error('Unable to write payload to spool directory ' + this.spoolDir + '. Error: ' + e.message);
+  }
+};
+
+RetryQueue.prototype.unspool = function unspool(item) {
+  if (!item.file) {
+    return;
+  }
+  try {
+    fs.unlinkSync(item.file);
+  } catch (e) {
+    this.logger.error('Unable to remove spooled payload ' + item.file + '. Error: ' + e.message);
+  }
+  item.file = null;
+};
+
+// Loads payloads left in the spool directory by a previous StatsD process.
+RetryQueue.prototype.loadSpool = function loadSpool() {
+  var self = this;
+  var files;
+  try {
+    makeDirectory(this.spoolDir);
+  } catch (e) {
+    this.logger.error('Unable to create spool directory ' + this.spoolDir + '. Error: ' + e.message);
+    return;
+  }
+  try {
+    files = fs.readdirSync(this.spoolDir).filter(function(file) {
+      return SPOOL_FILE_RE.test(file);
+    });
+  } catch (e) {
+    this.logger.error('Unable to read spool directory ' + this.spoolDir + '. Error: ' + e.message);
+    return;
+  }
+
+  files.map(function(file) {
+    var parts = file.split(/[-.]/);
+    return { file: file, createdAt: Number(parts[1]), sequence: Number(parts[2]) };
+  }).sort(function(a, b) {
+    return (a.createdAt - b.createdAt) || (a.sequence - b.sequence);
+  }).map(function(entry) {
+    // Payloads are spooled again under new names, which must not collide
+    // with the files that are still pending to be loaded.
+    self.sequence = Math.max(self.sequence, entry.sequence + 1);
+    return entry;
+  }).forEach(function(entry) {
+    var file = path.join(self.spoolDir, entry.file);
+    var payload;
+    try {
+      payload = fs.readFileSync(file, 'utf8');
+      fs.unlinkSync(file);
+    } catch (e) {
+      self.logger.error('Unable to load spooled payload ' + file + '. Error: ' + e.message);
+      return;
+    }
+    self.push(payload, entry.createdAt);
+  });
+};
+
+module.exports = RetryQueue;
@@ -0,0 +1,130 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Metrics of several StatsD flushes rolled up into the metrics of a single
+ * one, for the backends sending less often than StatsD flushes (see the
+ * 'sendInterval' option):
+ *
+ *   counters: Summed. Their rates are computed again for the whole interval.
+ *   gauges: Last value.
+ *   timers: Minimum of the lowers and maximum of the uppers, sums of the
+ *           counts and sums, and count_ps computed again for the whole
+ *           interval. The mean and the rest of statistics are averaged
+ *           weighted by the count, or by the count of their percentile.
+ *   sets: The members of the flush with the highest count.
+ */
+
+// A timer statistic and the percentile it's about, as 'sum_squares' and
+// '_90' for 'sum_squares_90'.
+var TIMER_STAT_RE = /^(.*?)(_\d+(?:_\d+)?)?$/;
+var SUMMED_TIMER_STATS = ['count', 'sum', 'sum_squares'];
+
+// Sets like the ones of StatsD, with the members of a flush. Sets without
+// members keep only their count.
+var snapshotSet = function snapshotSet(set) {
+  var size = set.size();
+  var members = typeof set.values === 'function' ? set.values() : undefined;
+  var snapshot = { size: function() { return size; } };
+  if (members !== undefined) {
+    snapshot.values = function() { return members.slice(); };
+  }
+  return snapshot;
+};
+
+// Adds the statistics of a flush to the ones rolled up for a timer. The
+// weights of the averaged statistics are the counts rolled up before.
+var addTimerStats = function addTimerStats(rolled, stats) {
+  var previous = Object.assign({}, rolled);
+  Object.keys(stats).forEach(function(stat) {
+    var value = stats[stat];
+    var parts = TIMER_STAT_RE.exec(stat);
+    var base = parts[1];
+    var percentile = parts[2] || '';
+    if (!rolled.hasOwnProperty(stat) || stat === 'count_ps') {
+      rolled[stat] = stat === 'histogram' ? Object.assign({}, value) : value;
+    } else if (stat === 'histogram') {
+      Object.keys(value).forEach(function(bin) {
+        rolled.histogram[bin] = (rolled.histogram[bin] || 0) + value[bin];
+      });
+    } else if (SUMMED_TIMER_STATS.indexOf(base) >= 0) {
+      rolled[stat] += value;
+    } else if (base === 'lower') {
+      rolled[stat] = Math.min(rolled[stat], value);
+    } else if (base === 'upper') {
+      rolled[stat] = Math.max(rolled[stat], value);
+    } else {
+      var weightStat = stats.hasOwnProperty('count' + percentile) ? 'count' + percentile : 'count';
+      var weight = stats[weightStat] || 0;
+      var previousWeight = previous[weightStat] || 0;
+      rolled[stat] = weight + previousWeight > 0 ? (rolled[stat] * previousWeight + value * weight) / (previousWeight + weight) : value;
+    }
+  });
+};
+
+// flushInterval is the StatsD flush interval, in milliseconds.
+var Rollup = function Rollup(flushInterval) {
+  this.flushInterval = flushInterval;
+  this.reset();
+};
+
+Rollup.prototype.reset = function reset() {
+  this.flushes = 0;
+  this.timestamp = null;
+  this.counters = {};
+  this.gauges = {};
+  this.timers = {};
+  this.sets = {};
+};
+
+// Milliseconds covered by the flushes rolled up.
+Rollup.prototype.intervalMs = function intervalMs() {
+  return this.flushes * this.flushInterval;
+};
+
+// Adds the metrics of a flush. timestamp is the time of the flush, in seconds.
+Rollup.prototype.add = function add(timestamp, rawMetrics) {
+  var self = this;
+  var counters = rawMetrics.counters || {};
+  var timerData = rawMetrics.timer_data || {};
+  var sets = rawMetrics.sets || {};
+  self.flushes++;
+  self.timestamp = timestamp;
+  Object.keys(counters).forEach(function(key) {
+    self.counters[key] = (self.counters[key] || 0) + counters[key];
+  });
+  Object.assign(self.gauges, rawMetrics.gauges);
+  Object.keys(timerData).forEach(function(key) {
+    self.timers[key] = self.timers[key] || {};
+    addTimerStats(self.timers[key], timerData[key]);
+  });
+  Object.keys(sets).forEach(function(key) {
+    if (!self.sets.hasOwnProperty(key) || sets[key].size() > self.sets[key].size()) {
+      self.sets[key] = snapshotSet(sets[key]);
+    }
+  });
+};
+
+// The metrics rolled up, as the metrics object of a StatsD flush.
+Rollup.prototype.metrics = function metrics() {
+  var self = this;
+  var seconds = self.intervalMs() / 1000;
+  var rolled = {
+    counters: Object.assign({}, self.counters),
+    counter_rates: {},
+    gauges: Object.assign({}, self.gauges),
+    timer_data: {},
+    sets: Object.assign({}, self.sets)
+  };
+  Object.keys(self.counters).forEach(function(key) {
+    rolled.counter_rates[key] = self.counters[key] / seconds;
+  });
+  Object.keys(self.timers).forEach(function(key) {
+    rolled.timer_data[key] = Object.assign({}, self.timers[key]);
+    if (rolled.timer_data[key].hasOwnProperty('count_ps')) {
+      rolled.timer_data[key].count_ps = rolled.timer_data[key].count / seconds;
+    }
+  });
+  return rolled;
+};
+
+module.exports = Rollup;
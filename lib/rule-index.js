@@ -0,0 +1,147 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Rules compiled once, when they are loaded, for flushes with many keys.
+ *
+ * Every rule keeps its regular expressions and its split metricSchema, and
+ * caches the schema fields of the keys it has seen. Rules are indexed by the
+ * literal prefix of their expression ('myapp.redis.' for
+ * '^myapp\.redis\..*'), so the rules that can't match a metric name are
+ * skipped without evaluating them. The rules that can match every metric
+ * name are cached too. Caches are cleared when they reach MAX_CACHED_KEYS, so
+ * keys that stop being sent don't use memory forever.
+ */
+
+var ruleUtils = require('./rules');
+
+var MAX_CACHED_KEYS = 100000;
+
+// Compiles an expression tested against the keys. A leading '.*' of an
+// unanchored expression doesn't change the keys it matches, but it makes the
+// expression try every position of the key again, so it's removed.
+var compileExpression = function compileExpression(expression) {
+  if (expression === undefined) {
+    return null;
+  }
+  if (/^\.\*\??[^*+?{]/.test(expression) && expression.indexOf('|') < 0) {
+    expression = expression.replace(/^\.\*\??/, '');
+  }
+  return new RegExp(expression);
+};
+
+// A rule with its compiled expressions. index is the position of the rule in
+// the configured list, -1 for the defaultRule.
+var CompiledRule = function CompiledRule(rule, index) {
+  this.rule = rule;
+  this.index = index;
+  this.match = compileExpression(rule.matchExpression);
+  this.exclude = compileExpression(rule.excludeExpression);
+  this.tagConditions = rule.matchTags === undefined ? null : ruleUtils.compileTagConditions(rule.matchTags);
+  this.schema = rule.metricSchema === undefined ? null : rule.metricSchema.split('.').map(function(element) {
+    var field = element.match(/{([^}]*).*/);
+    return field === null ? null : field[1];
+  });
+  this.prefix = ruleUtils.literalPrefix(rule.matchExpression !== undefined ? rule.matchExpression : rule.matchPattern);
+  this.fields = {};
+  this.cachedKeys = 0;
+};
+
+// Whether the key matches the expressions of the rule.
+CompiledRule.prototype.matches = function matches(key) {
+  return (this.match === null || this.match.test(key)) && (this.exclude === null || !this.exclude.test(key));
+};
+
+// Whether the tags of the key meet the matchTags conditions of the rule.
+CompiledRule.prototype.matchesTags = function matchesTags(tags) {
+  return this.tagConditions === null || this.tagConditions(tags);
+};
+
+// Whether the rule can match a key starting with the metric name. Keys are
+// the name followed by a suffix, so a name can also be the beginning of the
+// prefix ('hits' for 'hitsPer').
+CompiledRule.prototype.canMatch = function canMatch(metricName) {
+  return metricName.slice(0, this.prefix.length) === this.prefix || this.prefix.slice(0, metricName.length) === metricName;
+};
+
+// Returns the fields of the metricSchema in the key, or null when the key has
+// less elements than the schema. The last field takes the rest of elements.
+// Returns a copy the caller can modify.
+CompiledRule.prototype.schemaFields = function schemaFields(key) {
+  if (!this.fields.hasOwnProperty(key)) {
+    if (this.cachedKeys >= MAX_CACHED_KEYS) {
+      this.fields = {};
+      this.cachedKeys = 0;
+    }
+    this.fields[key] = this.extractFields(key);
+    this.cachedKeys++;
+  }
+  return this.fields[key] === null ? null : Object.assign({}, this.fields[key]);
+};
+
+CompiledRule.prototype.extractFields = function extractFields(key) {
+  var schema = this.schema;
+  var elements = key.split('.');
+  if (elements.length < schema.length) {
+    return null;
+  }
+  var fields = {};
+  schema.forEach(function(field, idx) {
+    if (field !== null) {
+      fields[field] = idx + 1 === schema.length ? elements.slice(idx).join('.') : elements[idx];
+    }
+  });
+  return fields;
+};
+
+// Compiled rules indexed by the first character of their literal prefix.
+// indexes are the positions of the rules in the configuration, as returned by
+// the validation, when some rules were disabled.
+var RuleIndex = function RuleIndex(rules, indexes) {
+  var self = this;
+  this.rules = rules.map(function(rule, idx) {
+    return new CompiledRule(rule, indexes ? indexes[idx] : idx);
+  });
+  this.indexes = this.rules.map(function(compiled) {
+    return compiled.index;
+  });
+  // Rules without prefix can match any name.
+  this.unprefixed = this.rules.filter(function(compiled) {
+    return compiled.prefix === '';
+  });
+  this.byFirstChar = {};
+  this.rules.forEach(function(compiled) {
+    if (compiled.prefix !== '') {
+      var chr = compiled.prefix.charAt(0);
+      self.byFirstChar[chr] = self.byFirstChar[chr] || [];
+      self.byFirstChar[chr].push(compiled);
+    }
+  });
+  this.candidatesByName = {};
+  this.cachedNames = 0;
+};
+
+// The rules that can match the keys of a metric name, in their order.
+RuleIndex.prototype.candidates = function candidates(metricName) {
+  if (this.candidatesByName.hasOwnProperty(metricName)) {
+    return this.candidatesByName[metricName];
+  }
+  if (this.cachedNames >= MAX_CACHED_KEYS) {
+    this.candidatesByName = {};
+    this.cachedNames = 0;
+  }
+  var result = this.rules;
+  if (metricName !== '') {
+    result = this.unprefixed.concat((this.byFirstChar[metricName.charAt(0)] || []).filter(function(compiled) {
+      return compiled.canMatch(metricName);
+    })).sort(function(a, b) {
+      return a.index - b.index;
+    });
+  }
+  this.candidatesByName[metricName] = result;
+  this.cachedNames++;
+  return result;
+};
+
+RuleIndex.CompiledRule = CompiledRule;
+
+module.exports = RuleIndex;
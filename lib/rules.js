@@ -0,0 +1,669 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Validation and helpers for the rules of the New Relic Infrastructure backend.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var expressions = require('./expressions');
+var templates = require('./templates');
+
+var PLACEHOLDER_RE = /{([^}]*)}/g;
+
+var placeholders = function placeholders(tpl) {
+  var names = [];
+  var match;
+  PLACEHOLDER_RE.lastIndex = 0;
+  while ((match = PLACEHOLDER_RE.exec(tpl))) {
+    names.push(match[1]);
+  }
+  return names;
+};
+
+var NAMED_GROUP_RE = /^\(\?<([A-Za-z_$][\w$]*)>/;
+var BACKREFERENCE_RE = /^\\k<([A-Za-z_$][\w$]*)>/;
+var compiledPatterns = {};
+
+// Compiles a regular expression with named capture groups. Group names are
+// resolved here instead of relying on the RegExp support for them, so they
+// work in every Node version. Returns the regular expression and the name of
+// every capturing group (null for unnamed groups).
+var compilePattern = function compilePattern(pattern) {
+  if (compiledPatterns.hasOwnProperty(pattern)) {
+    return compiledPatterns[pattern];
+  }
+  var names = [];
+  var source = '';
+  var inClass = false;
+  for (var i = 0; i < pattern.length; i++) {
+    var c = pattern[i];
+    var rest = pattern.slice(i);
+    var match;
+    if (c === '\\') {
+      match = BACKREFERENCE_RE.exec(rest);
+      if (match && !inClass) {
+        if (names.indexOf(match[1]) < 0) {
+          throw new SyntaxError('Invalid named reference \\k<' + match[1] + '>');
+        }
+        source += '\\' + (names.indexOf(match[1]) + 1);
+        i += match[0].length - 1;
+      } else {
+        source += rest.slice(0, 2);
+        i++;
+      }
+    } else if (inClass) {
+      inClass = c !== ']';
+      source += c;
+    } else if (c === '[') {
+      inClass = true;
+      source += c;
+    } else if (c === '(' && (match = NAMED_GROUP_RE.exec(rest))) {
+      if (names.indexOf(match[1]) >= 0) {
+        throw new SyntaxError('Duplicate capture group name ' + match[1]);
+      }
+      names.push(match[1]);
+      source += '(';
+      i += match[0].length - 1;
+    } else {
+      if (c === '(' && pattern[i + 1] !== '?') {
+        names.push(null);
+      }
+      source += c;
+    }
+  }
+  compiledPatterns[pattern] = { re: new RegExp(source), names: names };
+  return compiledPatterns[pattern];
+};
+
+var REGEXP_SPECIAL_CHARS = '\\^$.*+?()[]{}|';
+var QUANTIFIERS = '?*{';
+
+// Literal text every key matching the expression starts with, as
+// 'myapp.redis.' for '^myapp\.redis\..*'. Expressions not anchored to the
+// start, or with alternatives, have none.
+var literalPrefix = function literalPrefix(expression) {
+  var prefix = '';
+  if (expression === undefined || expression.charAt(0) !== '^' || expression.indexOf('|') >= 0) {
+    return prefix;
+  }
+  for (var idx = 1; idx < expression.length; idx++) {
+    var chr = expression.charAt(idx);
+    var next = idx + 1;
+    if (chr === '\\' && /[^A-Za-z0-9]/.test(expression.charAt(next))) {
+      chr = expression.charAt(next);
+      next++;
+    } else if (REGEXP_SPECIAL_CHARS.indexOf(chr) >= 0) {
+      break;
+    }
+    if (QUANTIFIERS.indexOf(expression.charAt(next)) >= 0) {
+      break;
+    }
+    prefix += chr;
+    idx = next - 1;
+  }
+  return prefix;
+};
+
+var METRIC_TYPES = ['counters', 'gauges', 'timers', 'sets'];
+var COUNTER_VALUES = ['count', 'rate', 'both'];
+var TRANSFORM_OPERATIONS = ['multiply', 'divide', 'min', 'max', 'round'];
+var TAG_OVERFLOW_MODES = ['other', 'drop'];
+var TAG_CONDITIONS = ['present', 'equals', 'notEquals', 'matches'];
+var compiledGlobs = {};
+
+// Timer statistics can be selected with '*' wildcards, as in 'upper_*'.
+var matchesGlob = function matchesGlob(glob, value) {
+  if (!compiledGlobs.hasOwnProperty(glob)) {
+    var source = glob.split('*').map(function(part) {
+      return part.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+    }).join('.*');
+    compiledGlobs[glob] = new RegExp('^' + source + '$');
+  }
+  return compiledGlobs[glob].test(value);
+};
+
+// Compiles the matchTags conditions of a rule into a function telling whether
+// the tags of a key meet all of them. A condition is true (the tag is
+// present), false (it's missing), a value the tag must have, or an object
+// with some of present, equals, notEquals and matches (a regular
+// expression). notEquals holds when the tag is missing.
+var compileTagConditions = function compileTagConditions(matchTags) {
+  var conditions = Object.keys(matchTags || {}).map(function(key) {
+    var condition = matchTags[key];
+    if (typeof condition === 'boolean') {
+      condition = { present: condition };
+    } else if (typeof condition === 'string') {
+      condition = { equals: condition };
+    }
+    var re = condition.matches === undefined ? null : new RegExp(condition.matches);
+    return function(tags) {
+      var present = tags.hasOwnProperty(key);
+      return (condition.present === undefined || present === condition.present) &&
+        (condition.equals === undefined || (present && tags[key] === condition.equals)) &&
+        (condition.notEquals === undefined || !present || tags[key] !== condition.notEquals) &&
+        (re === null || (present && re.test(tags[key])));
+    };
+  });
+  return function(tags) {
+    return conditions.every(function(condition) {
+      return condition(tags);
+    });
+  };
+};
+
+var isStringList = function isStringList(value) {
+  return Array.isArray(value) && value.every(function(item) {
+    return typeof item === 'string';
+  });
+};
+
+var isNonEmptyString = function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+};
+
+var isPositiveInteger = function isPositiveInteger(value) {
+  return typeof value === 'number' && value > 0 && value % 1 === 0;
+};
+
+// Returns the list of problems found in a rule. Every problem has the index of
+// the rule, the name of the field and a message.
+var validateRule = function validateRule(rule, index) {
+  var errors = [];
+  var error = function(field, message) {
+    errors.push({ index: index, field: field, message: message });
+  };
+
+  if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+    error('', 'rule must be an object');
+    return errors;
+  }
+
+  if (rule.matchExpression === undefined && rule.matchPattern !== undefined) {
+    // The pattern selects the keys by itself.
+  } else if (!isNonEmptyString(rule.matchExpression)) {
+    error('matchExpression', 'is required');
+  } else {
+    try {
+      new RegExp(rule.matchExpression);
+    } catch (e) {
+      error('matchExpression', 'is not a valid regular expression: ' + e.message);
+    }
+  }
+
+  if (rule.excludeExpression !== undefined) {
+    if (!isNonEmptyString(rule.excludeExpression)) {
+      error('excludeExpression', 'must be a regular expression');
+    } else {
+      try {
+        new RegExp(rule.excludeExpression);
+      } catch (e) {
+        error('excludeExpression', 'is not a valid regular expression: ' + e.message);
+      }
+    }
+  }
+
+  if (rule.matchTags !== undefined) {
+    if (rule.matchTags === null || typeof rule.matchTags !== 'object' || Array.isArray(rule.matchTags)) {
+      error('matchTags', 'must be an object');
+    } else {
+      Object.keys(rule.matchTags).forEach(function(key) {
+        var condition = rule.matchTags[key];
+        var field = 'matchTags.' + key;
+        if (typeof condition === 'boolean' || typeof condition === 'string') {
+          return;
+        }
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition) || Object.keys(condition).length === 0) {
+          error(field, 'must be true, false, a tag value or an object with ' + TAG_CONDITIONS.join(', '));
+          return;
+        }
+        Object.keys(condition).forEach(function(name) {
+          if (TAG_CONDITIONS.indexOf(name) < 0) {
+            error(field, 'has unknown condition ' + name + '. Supported conditions: ' + TAG_CONDITIONS.join(', '));
+          } else if (name === 'present' ? typeof condition[name] !== 'boolean' : typeof condition[name] !== 'string') {
+            error(field + '.' + name, name === 'present' ? 'must be true or false' : 'must be a string');
+          } else if (name === 'matches') {
+            try {
+              new RegExp(condition.matches);
+            } catch (e) {
+              error(field + '.matches', 'is not a valid regular expression: ' + e.message);
+            }
+          }
+        });
+      });
+    }
+  }
+
+  var schemaFields = [];
+  if (rule.matchPattern !== undefined) {
+    if (rule.metricSchema !== undefined) {
+      error('metricSchema', 'can\'t be used together with matchPattern');
+    }
+    if (!isNonEmptyString(rule.matchPattern)) {
+      error('matchPattern', 'must be a regular expression');
+    } else {
+      try {
+        schemaFields = compilePattern(rule.matchPattern).names.filter(function(name) {
+          return name !== null;
+        });
+        if (schemaFields.indexOf('metricName') < 0) {
+          error('matchPattern', 'must have a named capture group (?<metricName>...)');
+        }
+      } catch (e) {
+        error('matchPattern', 'is not a valid regular expression: ' + e.message);
+      }
+    }
+  } else if (!isNonEmptyString(rule.metricSchema)) {
+    error('metricSchema', 'is required');
+  } else {
+    schemaFields = placeholders(rule.metricSchema);
+    if (schemaFields.indexOf('metricName') < 0) {
+      error('metricSchema', 'must contain the {metricName} placeholder');
+    }
+    schemaFields.forEach(function(field) {
+      if (field === '') {
+        error('metricSchema', 'contains an empty placeholder');
+      }
+    });
+  }
+
+  // Promoted tags are fields of the sample too.
+  var promotedTags = rule.tags && isStringList(rule.tags.promote) ? rule.tags.promote : [];
+  if (schemaFields.length > 0) {
+    schemaFields = schemaFields.concat(promotedTags);
+  }
+
+  // Fields are only checked when the schema fields are known (available is
+  // not null). Tags can always be used.
+  var checkTemplate = function(field, tpl, available) {
+    var names;
+    try {
+      names = templates.fields(tpl);
+    } catch (e) {
+      error(field, 'is not a valid template: ' + e.message);
+      return;
+    }
+    names.forEach(function(name) {
+      if (available !== null && !templates.isTag(name) && available.indexOf(name) < 0) {
+        error(field, 'uses {' + name + '}, which is not a field of ' + (rule.matchPattern !== undefined ? 'matchPattern' : 'metricSchema') + (promotedTags.length > 0 ? ' or a promoted tag' : ''));
+      }
+    });
+  };
+  var knownFields = function(fields) {
+    return schemaFields.length > 0 ? fields : null;
+  };
+
+  if (rule.dynamicEventType !== undefined && typeof rule.dynamicEventType !== 'boolean') {
+    error('dynamicEventType', 'must be true or false');
+  }
+  if (!isNonEmptyString(rule.eventType)) {
+    error('eventType', 'is required');
+  } else if (rule.dynamicEventType === true) {
+    checkTemplate('eventType', rule.eventType, knownFields(schemaFields));
+  } else if (placeholders(rule.eventType).length > 0) {
+    error('eventType', 'can\'t use variable substitutions: ' + rule.eventType);
+  }
+
+  ['entityType', 'entityName'].forEach(function(field) {
+    if (!isNonEmptyString(rule[field])) {
+      error(field, 'is required');
+    } else {
+      checkTemplate(field, rule[field], knownFields(schemaFields));
+    }
+  });
+
+  if (rule.metricTypes !== undefined) {
+    if (!isStringList(rule.metricTypes)) {
+      error('metricTypes', 'must be a list of metric types');
+    } else {
+      rule.metricTypes.forEach(function(type) {
+        if (METRIC_TYPES.indexOf(type) < 0) {
+          error('metricTypes', 'contains unknown metric type ' + type + '. Supported types: ' + METRIC_TYPES.join(', '));
+        }
+      });
+    }
+  }
+  if (rule.counterValues !== undefined && COUNTER_VALUES.indexOf(rule.counterValues) < 0) {
+    error('counterValues', 'must be one of ' + COUNTER_VALUES.join(', '));
+  }
+  ['timerStats', 'excludeTimerStats'].forEach(function(field) {
+    if (rule[field] !== undefined && !isStringList(rule[field])) {
+      error(field, 'must be a list of timer statistics');
+    }
+  });
+  if (rule.timerStats !== undefined && rule.excludeTimerStats !== undefined) {
+    error('excludeTimerStats', 'can\'t be used together with timerStats');
+  }
+  if (rule.rename !== undefined) {
+    if (rule.rename === null || typeof rule.rename !== 'object' || Array.isArray(rule.rename)) {
+      error('rename', 'must be an object');
+    } else {
+      Object.keys(rule.rename).forEach(function(name) {
+        if (!isNonEmptyString(rule.rename[name])) {
+          error('rename.' + name, 'must be a non empty string');
+        }
+      });
+    }
+  }
+
+  if (rule.transforms !== undefined) {
+    if (rule.transforms === null || typeof rule.transforms !== 'object' || Array.isArray(rule.transforms)) {
+      error('transforms', 'must be an object');
+    } else {
+      Object.keys(rule.transforms).forEach(function(name) {
+        var transform = rule.transforms[name];
+        if (transform === null || typeof transform !== 'object') {
+          error('transforms.' + name, 'must be an object');
+          return;
+        }
+        Object.keys(transform).forEach(function(operation) {
+          if (TRANSFORM_OPERATIONS.indexOf(operation) < 0) {
+            error('transforms.' + name, 'has unknown operation ' + operation + '. Supported operations: ' + TRANSFORM_OPERATIONS.join(', '));
+          } else if (typeof transform[operation] !== 'number' || !isFinite(transform[operation])) {
+            error('transforms.' + name + '.' + operation, 'must be a number');
+          }
+        });
+        if (transform.divide === 0) {
+          error('transforms.' + name + '.divide', 'can\'t be 0');
+        }
+        if (transform.round !== undefined && (transform.round < 0 || transform.round % 1 !== 0)) {
+          error('transforms.' + name + '.round', 'must be a number of decimals');
+        }
+      });
+    }
+  }
+
+  if (rule.derived !== undefined) {
+    if (rule.derived === null || typeof rule.derived !== 'object' || Array.isArray(rule.derived)) {
+      error('derived', 'must be an object');
+    } else {
+      Object.keys(rule.derived).forEach(function(name) {
+        var definition = rule.derived[name];
+        var expression = typeof definition === 'string' ? definition : (definition && definition.expression);
+        if (!isNonEmptyString(expression)) {
+          error('derived.' + name, 'must be an expression or an object with an expression');
+          return;
+        }
+        try {
+          expressions.compile(expression);
+        } catch (e) {
+          error('derived.' + name, 'is not a valid expression: ' + e.message);
+        }
+        if (typeof definition === 'object' && definition.default !== undefined && typeof definition.default !== 'number') {
+          error('derived.' + name + '.default', 'must be a number');
+        }
+      });
+    }
+  }
+
+  if (rule.labels !== undefined) {
+    if (rule.labels === null || typeof rule.labels !== 'object' || Array.isArray(rule.labels)) {
+      error('labels', 'must be an object');
+    } else {
+      // The metric name is already the name of the attribute holding the value
+      // when labels are evaluated.
+      var labelFields = schemaFields.filter(function(field) {
+        return field !== 'metricName';
+      });
+      Object.keys(rule.labels).forEach(function(label) {
+        var value = rule.labels[label];
+        if (typeof value !== 'string') {
+          error('labels.' + label, 'must be a string');
+        } else {
+          checkTemplate('labels.' + label, value, knownFields(labelFields));
+        }
+      });
+    }
+  }
+
+  if (rule.tags !== undefined) {
+    var tags = rule.tags;
+    if (tags === null || typeof tags !== 'object' || Array.isArray(tags)) {
+      error('tags', 'must be an object');
+    } else {
+      ['allow', 'deny', 'promote'].forEach(function(option) {
+        if (tags[option] !== undefined && !isStringList(tags[option])) {
+          error('tags.' + option, 'must be a list of tag keys');
+        }
+      });
+      if (tags.allow !== undefined && tags.deny !== undefined) {
+        error('tags.deny', 'can\'t be used together with allow');
+      }
+      if (tags.maxSeries !== undefined && !isPositiveInteger(tags.maxSeries)) {
+        error('tags.maxSeries', 'must be a positive integer');
+      }
+      if (tags.maxValues !== undefined && !isPositiveInteger(tags.maxValues)) {
+        if (tags.maxValues === null || typeof tags.maxValues !== 'object' || Array.isArray(tags.maxValues)) {
+          error('tags.maxValues', 'must be a positive integer or an object with the maximum of every tag key');
+        } else {
+          Object.keys(tags.maxValues).forEach(function(key) {
+            if (!isPositiveInteger(tags.maxValues[key])) {
+              error('tags.maxValues.' + key, 'must be a positive integer');
+            }
+          });
+        }
+      }
+      if (tags.overflow !== undefined && TAG_OVERFLOW_MODES.indexOf(tags.overflow) < 0) {
+        error('tags.overflow', 'must be one of ' + TAG_OVERFLOW_MODES.join(', '));
+      }
+    }
+  }
+
+  if (rule.events !== undefined) {
+    if (!Array.isArray(rule.events)) {
+      error('events', 'must be a list of events');
+    } else {
+      rule.events.forEach(function(definition, idx) {
+        var field = 'events[' + idx + ']';
+        if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+          error(field, 'must be an object');
+          return;
+        }
+        if (!isNonEmptyString(definition.attribute)) {
+          error(field + '.attribute', 'is required');
+        }
+        var conditions = ['above', 'below', 'changed'].filter(function(condition) {
+          return definition[condition] !== undefined;
+        });
+        if (conditions.length !== 1) {
+          error(field, 'must have one of above, below or changed');
+        }
+        ['above', 'below'].forEach(function(condition) {
+          if (definition[condition] !== undefined && (typeof definition[condition] !== 'number' || !isFinite(definition[condition]))) {
+            error(field + '.' + condition, 'must be a number');
+          }
+        });
+        if (definition.changed !== undefined && definition.changed !== true) {
+          error(field + '.changed', 'must be true');
+        }
+        ['summary', 'category'].forEach(function(option) {
+          if (definition[option] !== undefined && !isNonEmptyString(definition[option])) {
+            error(field + '.' + option, 'must be a non empty string');
+          }
+        });
+      });
+    }
+  }
+
+  if (rule.inventory !== undefined) {
+    if (rule.inventory === null || typeof rule.inventory !== 'object' || Array.isArray(rule.inventory)) {
+      error('inventory', 'must be an object');
+    } else {
+      Object.keys(rule.inventory).forEach(function(item) {
+        if (!isNonEmptyString(rule.inventory[item])) {
+          error('inventory.' + item, 'must be the name of an attribute');
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Returns the fields captured by the named groups of the pattern in the key,
+// or null when the key doesn't match it. Optional groups that don't
+// participate in the match are left out.
+exports.extractPatternFields = function extractPatternFields(key, pattern) {
+  var compiled = compilePattern(pattern);
+  var match = compiled.re.exec(key);
+  if (match === null) {
+    return null;
+  }
+  var fields = {};
+  compiled.names.forEach(function(name, idx) {
+    if (name !== null && match[idx + 1] !== undefined) {
+      fields[name] = match[idx + 1];
+    }
+  });
+  return fields;
+};
+
+exports.matchesGlob = matchesGlob;
+exports.literalPrefix = literalPrefix;
+exports.compileTagConditions = compileTagConditions;
+
+// Whether the tags of a key meet the matchTags conditions of the rule.
+exports.matchesTags = function matchesTags(rule, tags) {
+  return compileTagConditions(rule.matchTags)(tags);
+};
+
+// Whether the rule applies to a StatsD metric type: 'counters', 'gauges',
+// 'timers' or 'sets'.
+exports.appliesTo = function appliesTo(rule, metricType) {
+  return rule.metricTypes === undefined || rule.metricTypes.indexOf(metricType) >= 0;
+};
+
+// Whether the rule sends a timer statistic, such as 'upper_90' or 'mean'.
+exports.timerStatSelected = function timerStatSelected(rule, stat) {
+  var matches = function(glob) {
+    return matchesGlob(glob, stat);
+  };
+  if (rule.timerStats !== undefined) {
+    return rule.timerStats.some(matches);
+  }
+  return rule.excludeTimerStats === undefined || !rule.excludeTimerStats.some(matches);
+};
+
+// Returns the name of the attribute after applying the rename map of the rule.
+// The map can rename the whole attribute ('my_timer.upper_95') or the suffix
+// added by the metric type ('upper_95', 'PerSecond' or 'count').
+exports.renameAttribute = function renameAttribute(rule, attribute, suffix) {
+  if (rule.rename === undefined) {
+    return attribute;
+  }
+  if (rule.rename.hasOwnProperty(attribute)) {
+    return rule.rename[attribute];
+  }
+  var separator = suffix.charAt(0) === '.' ? '.' : '';
+  var stat = suffix.slice(separator.length);
+  if (stat !== '' && rule.rename.hasOwnProperty(stat) && attribute.slice(-suffix.length) === suffix) {
+    return attribute.slice(0, -suffix.length) + separator + rule.rename[stat];
+  }
+  return attribute;
+};
+
+// Applies to a metric value the transform of the rule for the attribute. The
+// transform is the first one in 'transforms' whose name matches the attribute,
+// names can use '*' wildcards. Operations are applied in this order:
+// multiply, divide, min, max and round.
+exports.transformValue = function transformValue(rule, attribute, value) {
+  if (rule.transforms === undefined || typeof value !== 'number') {
+    return value;
+  }
+  var names = Object.keys(rule.transforms);
+  for (var i = 0; i < names.length; i++) {
+    if (matchesGlob(names[i], attribute)) {
+      var transform = rule.transforms[names[i]];
+      if (transform.multiply !== undefined) {
+        value *= transform.multiply;
+      }
+      if (transform.divide !== undefined) {
+        value /= transform.divide;
+      }
+      if (transform.min !== undefined) {
+        value = Math.max(value, transform.min);
+      }
+      if (transform.max !== undefined) {
+        value = Math.min(value, transform.max);
+      }
+      if (transform.round !== undefined) {
+        var factor = Math.pow(10, transform.round);
+        value = Math.round(value * factor) / factor;
+      }
+      return value;
+    }
+  }
+  return value;
+};
+
+// Adds to the sample values the derived attributes of the rule, in the order
+// they are declared, so they can use the previous ones. When a result can't be
+// computed, because an input is missing or not a number or there is a division
+// by zero, the 'default' of the definition is used or the attribute is left
+// out. Returns the number of attributes left out.
+exports.deriveAttributes = function deriveAttributes(rule, values) {
+  var skipped = 0;
+  Object.keys(rule.derived || {}).forEach(function(name) {
+    var definition = rule.derived[name];
+    var expression = typeof definition === 'string' ? definition : definition.expression;
+    var result = expressions.evaluate(expression, values);
+    if (result === undefined && typeof definition === 'object') {
+      result = definition.default;
+    }
+    if (result === undefined) {
+      skipped++;
+    } else {
+      values[name] = result;
+    }
+  });
+  return skipped;
+};
+
+exports.formatError = function formatError(error) {
+  if (error.index === null) {
+    return (error.field || 'rules') + ' ' + error.message;
+  }
+  var field = error.field ? '.' + error.field : '';
+  return 'rules[' + error.index + ']' + field + ' ' + error.message;
+};
+
+// Validates a list of rules. Returns the rules without problems, their
+// positions in the list (indexes) and the problems found in the rest.
+exports.validate = function validateRules(rules) {
+  var valid = [];
+  var indexes = [];
+  var errors = [];
+
+  if (!Array.isArray(rules)) {
+    return { rules: [], indexes: [], errors: [{ index: null, field: '', message: 'must be a list of rules' }] };
+  }
+
+  rules.forEach(function(rule, index) {
+    var ruleErrors = validateRule(rule, index);
+    if (ruleErrors.length === 0) {
+      valid.push(rule);
+      indexes.push(index);
+    } else {
+      Array.prototype.push.apply(errors, ruleErrors);
+    }
+  });
+  return { rules: valid, indexes: indexes, errors: errors };
+};
+
+// Reads the rules from a JSON file or a JS module. The file can contain the list
+// of rules or an object with a 'rules' key. Throws when the file can't be read
+// or parsed.
+exports.load = function loadRules(file) {
+  var fullPath = path.resolve(file);
+  var content;
+  if (path.extname(fullPath) === '.js') {
+    delete require.cache[fullPath];
+    content = require(fullPath);
+  } else {
+    content = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  }
+  if (content && !Array.isArray(content) && content.hasOwnProperty('rules')) {
+    content = content.rules;
+  }
+  return content;
+};
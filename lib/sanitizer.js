@@ -0,0 +1,185 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Fixes the samples built by the rules that the agent or New Relic would
+ * reject, before they are composed into payloads:
+ *
+ *   - Event types with characters other than letters, digits, '_' and ':'
+ *     have them replaced with '_', and are truncated to 255 characters.
+ *   - Attribute names with control characters have them replaced with '_'.
+ *     Empty names become '_'.
+ *   - Attributes named as the ones set by the backend or New Relic
+ *     (event_type, entityName, timestamp...) get a '_' appended.
+ *   - Attribute names are truncated to 255 characters, and string values of
+ *     the schema fields and labels to 4096.
+ *   - Metric values that aren't finite numbers, as NaN gauges or the rates of
+ *     counters without one, are dropped. Samples left with only schema fields
+ *     and labels are dropped too, and so are entities left without samples.
+ *
+ * Renamed attributes that collide with another one get more '_' appended.
+ * Every distinct fix is logged once.
+ */
+
+var MAX_NAME_LENGTH = 255;
+var MAX_VALUE_LENGTH = 4096;
+var MAX_LOGGED_FIXES = 1000;
+var RESERVED_NAMES = ['event_type', 'eventType', 'timestamp', 'entityName', 'displayName', 'entityKey', 'entityGuid'];
+var INVALID_NAME_CHARS_RE = /[\u0000-\u001f\u007f]/g;
+var INVALID_EVENT_TYPE_CHARS_RE = /[^A-Za-z0-9_:]/g;
+
+// Appends '_' to a name until it's not taken, keeping it under the maximum
+// length.
+var freeName = function freeName(name, taken) {
+  var suffix = '';
+  var candidate = name;
+  while (taken.hasOwnProperty(candidate)) {
+    suffix += '_';
+    candidate = name.slice(0, MAX_NAME_LENGTH - suffix.length) + suffix;
+  }
+  return candidate;
+};
+
+var renameKey = function renameKey(object, from, to) {
+  if (object && object.hasOwnProperty(from)) {
+    object[to] = object[from];
+    delete object[from];
+  }
+};
+
+// logger is a Logger (see lib/logger.js).
+var Sanitizer = function Sanitizer(logger) {
+  this.logger = logger;
+  this.logged = {};
+  this.loggedFixes = 0;
+};
+
+// Logs a fix the first time it's made. id identifies the fix.
+Sanitizer.prototype.warnOnce = function warnOnce(id, message) {
+  if (this.logged.hasOwnProperty(id)) {
+    return;
+  }
+  if (this.loggedFixes >= MAX_LOGGED_FIXES) {
+    this.logged = {};
+    this.loggedFixes = 0;
+  }
+  this.logged[id] = true;
+  this.loggedFixes++;
+  this.logger.warn(message);
+};
+
+// Fixes in place the samples of the data built by collectMetrics. Returns the
+// number of names renamed (sanitizedNames) or truncated (truncatedNames), of
+// values truncated (truncatedValues) and of values dropped (droppedValues).
+Sanitizer.prototype.sanitize = function sanitize(data) {
+  var self = this;
+  var fixes = { sanitizedNames: 0, truncatedNames: 0, truncatedValues: 0, droppedValues: 0 };
+  Object.keys(data).forEach(function(entityId) {
+    var entry = data[entityId];
+    Object.keys(entry.metrics).forEach(function(eventType) {
+      var fixed = self.sanitizeEventType(eventType, fixes);
+      if (fixed !== eventType) {
+        self.moveEventType(entry, eventType, fixed);
+      }
+    });
+    Object.keys(entry.metrics).forEach(function(eventType) {
+      var dimensions = (entry.dimensions || {})[eventType] || {};
+      self.sanitizeSample(eventType, entry.metrics[eventType], dimensions, (entry.types || {})[eventType] || {}, fixes);
+      var metrics = Object.keys(entry.metrics[eventType]).filter(function(name) {
+        return dimensions[name] !== true;
+      });
+      if (metrics.length === 0) {
+        self.warnOnce('sample ' + eventType, 'Dropping the samples of ' + eventType + ' left without metric values.');
+        ['metrics', 'dimensions', 'types', 'rules'].forEach(function(field) {
+          if (entry[field]) {
+            delete entry[field][eventType];
+          }
+        });
+      }
+    });
+    if (Object.keys(entry.metrics).length === 0) {
+      delete data[entityId];
+    }
+  });
+  return fixes;
+};
+
+Sanitizer.prototype.sanitizeEventType = function sanitizeEventType(eventType, fixes) {
+  var fixed = eventType.replace(INVALID_EVENT_TYPE_CHARS_RE, '_');
+  if (fixed !== eventType) {
+    fixes.sanitizedNames++;
+    this.warnOnce('eventType ' + eventType, 'Event type ' + eventType + ' renamed to ' + fixed + ' because it has invalid characters.');
+  }
+  if (fixed.length > MAX_NAME_LENGTH) {
+    fixes.truncatedNames++;
+    this.warnOnce('eventType length ' + eventType, 'Event type ' + eventType + ' truncated to ' + MAX_NAME_LENGTH + ' characters.');
+    fixed = fixed.slice(0, MAX_NAME_LENGTH);
+  }
+  return fixed;
+};
+
+// Moves the sample of an event type to the fixed one, merging them when the
+// entry already has a sample of that event type.
+Sanitizer.prototype.moveEventType = function moveEventType(entry, eventType, fixed) {
+  ['metrics', 'dimensions', 'types'].forEach(function(field) {
+    if (entry[field] && entry[field].hasOwnProperty(eventType)) {
+      entry[field][fixed] = Object.assign(entry[field][fixed] || {}, entry[field][eventType]);
+      delete entry[field][eventType];
+    }
+  });
+  if (entry.rules && entry.rules.hasOwnProperty(eventType)) {
+    var rules = entry.rules[fixed] || [];
+    entry.rules[eventType].forEach(function(rule) {
+      if (rules.indexOf(rule) < 0) {
+        rules.push(rule);
+      }
+    });
+    entry.rules[fixed] = rules;
+    delete entry.rules[eventType];
+  }
+};
+
+// dimensions are the names of the schema fields and labels of the sample, and
+// types the StatsD type of its metric values, renamed along with them.
+Sanitizer.prototype.sanitizeSample = function sanitizeSample(eventType, values, dimensions, types, fixes) {
+  var self = this;
+  Object.keys(values).forEach(function(name) {
+    var value = values[name];
+    var dimension = dimensions[name] === true;
+    var id = eventType + ' ' + name;
+    if (!dimension && (typeof value !== 'number' || !isFinite(value))) {
+      fixes.droppedValues++;
+      self.warnOnce('value ' + id, 'Dropping the value ' + value + ' of attribute ' + name + ' of ' + eventType + ' because it is not a finite number.');
+      delete values[name];
+      delete types[name];
+      return;
+    }
+    if (dimension && typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+      fixes.truncatedValues++;
+      self.warnOnce('value length ' + id, 'Value of attribute ' + name + ' of ' + eventType + ' truncated to ' + MAX_VALUE_LENGTH + ' characters.');
+      values[name] = value.slice(0, MAX_VALUE_LENGTH);
+    }
+
+    var fixed = name.replace(INVALID_NAME_CHARS_RE, '_') || '_';
+    if (RESERVED_NAMES.indexOf(fixed) >= 0) {
+      fixed += '_';
+    }
+    if (fixed !== name) {
+      fixes.sanitizedNames++;
+      self.warnOnce('name ' + id, 'Attribute ' + JSON.stringify(name) + ' of ' + eventType + ' renamed to ' + fixed +
+                    (RESERVED_NAMES.indexOf(name) >= 0 ? ' because the name is reserved.' : ' because it has invalid characters.'));
+    }
+    if (fixed.length > MAX_NAME_LENGTH) {
+      fixes.truncatedNames++;
+      self.warnOnce('name length ' + id, 'Attribute ' + name.slice(0, 40) + '... of ' + eventType + ' truncated to ' + MAX_NAME_LENGTH + ' characters.');
+      fixed = fixed.slice(0, MAX_NAME_LENGTH);
+    }
+    if (fixed !== name) {
+      fixed = freeName(fixed, values);
+      renameKey(values, name, fixed);
+      renameKey(dimensions, name, fixed);
+      renameKey(types, name, fixed);
+    }
+  });
+};
+
+module.exports = Sanitizer;
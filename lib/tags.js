@@ -0,0 +1,94 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Parsers for the tags that StatsD clients append to metric names.
+ *
+ * Supported formats:
+ *
+ *   dogstatsd: name#k:v,k2:v2
+ *   influxdb: name,k=v,k2=v2
+ *   graphite: name;k=v;k2=v2
+ *   signalfx: name[k=v,k2=v2] (the dimensions block can be anywhere in the name)
+ *   auto: detects the format of every key from the separators it contains.
+ *
+ * Only the first separator splits a tag in key and value, so values can contain
+ * it ('url:http://host' is tag 'url' with value 'http://host'). Tags without a
+ * value ('name#canary') get the value 'true'.
+ *
+ * Keep in mind that StatsD removes some of these characters from metric names
+ * unless 'keyNameSanitize' is disabled in its configuration.
+ */
+
+var VALUELESS_TAG_VALUE = 'true';
+var SIGNALFX_RE = /\[([^\]]*)\]/;
+
+var parseTagList = function parseTagList(tagStrings, separator) {
+  var tags = {};
+  tagStrings.forEach(function(tag) {
+    if (tag === '') {
+      return;
+    }
+    var idx = tag.indexOf(separator);
+    if (idx < 0) {
+      tags[tag] = VALUELESS_TAG_VALUE;
+    } else if (idx > 0) {
+      tags[tag.slice(0, idx)] = tag.slice(idx + 1);
+    }
+  });
+  return tags;
+};
+
+var suffixParser = function suffixParser(delimiter, tagDelimiter, separator) {
+  return function(namePlusTags) {
+    var idx = namePlusTags.indexOf(delimiter);
+    if (idx < 0) {
+      return { name: namePlusTags, tags: {} };
+    }
+    return {
+      name: namePlusTags.slice(0, idx),
+      tags: parseTagList(namePlusTags.slice(idx + 1).split(tagDelimiter), separator)
+    };
+  };
+};
+
+var signalfxParser = function signalfxParser(namePlusTags) {
+  var match = SIGNALFX_RE.exec(namePlusTags);
+  if (match === null) {
+    return { name: namePlusTags, tags: {} };
+  }
+  return {
+    name: namePlusTags.slice(0, match.index) + namePlusTags.slice(match.index + match[0].length),
+    tags: parseTagList(match[1].split(','), '=')
+  };
+};
+
+var parsers = {
+  dogstatsd: suffixParser('#', ',', ':'),
+  influxdb: suffixParser(',', ',', '='),
+  graphite: suffixParser(';', ';', '='),
+  signalfx: signalfxParser
+};
+
+parsers.auto = function autoParser(namePlusTags) {
+  if (namePlusTags.indexOf('#') >= 0) {
+    return parsers.dogstatsd(namePlusTags);
+  }
+  if (SIGNALFX_RE.test(namePlusTags)) {
+    return parsers.signalfx(namePlusTags);
+  }
+  if (namePlusTags.indexOf(';') >= 0) {
+    return parsers.graphite(namePlusTags);
+  }
+  if (namePlusTags.indexOf(',') >= 0) {
+    return parsers.influxdb(namePlusTags);
+  }
+  return { name: namePlusTags, tags: {} };
+};
+
+exports.formats = Object.keys(parsers);
+
+// Returns a function that splits a metric name into the name without tags and
+// a hash with the tags, or null when the format isn't supported.
+exports.parser = function tagParser(format) {
+  return parsers.hasOwnProperty(format) ? parsers[format] : null;
+};
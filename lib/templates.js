@@ -0,0 +1,129 @@
+/* jshint node:true, laxcomma:true */
+
+/*
+ * Templates of the entityName, entityType, labels and, for rules with
+ * dynamicEventType, eventType of the rules.
+ *
+ * '{field}' is replaced with a field of the metricSchema or the matchPattern,
+ * and '{tag.region}' with the value of the 'region' tag. The name of a
+ * placeholder can be followed by steps separated by '|', applied in order:
+ *
+ *   lowercase, uppercase: Change the case of the value.
+ *   replace(from,to): Replace every 'from' in the value with 'to'.
+ *   truncate(length): Keep the first length characters of the value.
+ *   default(value): Use value when the value is missing or empty, as in
+ *                   '{env|default(production)}'.
+ *
+ * Missing values without a default are empty. Other steps are syntax errors,
+ * so a misspelled filter isn't taken for a value.
+ */
+
+var PLACEHOLDER_RE = /{([^}]*)}/g;
+var CALL_RE = /^([A-Za-z]+)\((.*)\)$/;
+var TAG_PREFIX = 'tag.';
+
+var FILTERS = {
+  lowercase: function(value) {
+    return value.toLowerCase();
+  },
+  uppercase: function(value) {
+    return value.toUpperCase();
+  },
+  replace: function(value, from, to) {
+    return value.split(from).join(to);
+  },
+  truncate: function(value, length) {
+    return value.slice(0, length);
+  }
+};
+
+var compiledTemplates = {};
+
+// Parses a step of a placeholder: a filter with its arguments or a default
+// value.
+var parseStep = function parseStep(step) {
+  if (step === 'lowercase' || step === 'uppercase') {
+    return { filter: step, args: [] };
+  }
+  var call = CALL_RE.exec(step);
+  if (call === null) {
+    throw new SyntaxError('unknown filter ' + step + '. Supported filters: ' + Object.keys(FILTERS).join(', ') + ', default');
+  }
+  var args = call[2];
+  if (call[1] === 'default') {
+    return { defaultValue: args };
+  }
+  if (call[1] === 'replace') {
+    var comma = args.indexOf(',');
+    if (comma <= 0) {
+      throw new SyntaxError('replace needs the text to replace and its replacement: replace(from,to)');
+    }
+    return { filter: 'replace', args: [args.slice(0, comma), args.slice(comma + 1)] };
+  }
+  if (call[1] === 'truncate') {
+    if (!/^[1-9][0-9]*$/.test(args)) {
+      throw new SyntaxError('truncate needs a positive length: truncate(' + args + ')');
+    }
+    return { filter: 'truncate', args: [Number(args)] };
+  }
+  throw new SyntaxError('unknown filter ' + call[1] + '. Supported filters: ' + Object.keys(FILTERS).join(', ') + ', default');
+};
+
+// Compiles a template into its literal text and placeholders. Throws a
+// SyntaxError for invalid placeholders.
+var compile = function compile(tpl) {
+  if (compiledTemplates.hasOwnProperty(tpl)) {
+    return compiledTemplates[tpl];
+  }
+  var parts = [];
+  var last = 0;
+  var match;
+  PLACEHOLDER_RE.lastIndex = 0;
+  while ((match = PLACEHOLDER_RE.exec(tpl))) {
+    var steps = match[1].split('|');
+    var name = steps.shift();
+    if (name === '') {
+      throw new SyntaxError('contains an empty placeholder');
+    }
+    parts.push(tpl.slice(last, match.index));
+    parts.push({ name: name, steps: steps.map(parseStep) });
+    last = match.index + match[0].length;
+  }
+  parts.push(tpl.slice(last));
+  compiledTemplates[tpl] = parts;
+  return parts;
+};
+
+// Names of the fields a template uses, including the 'tag.' ones.
+exports.fields = function fields(tpl) {
+  return compile(tpl).filter(function(part) {
+    return typeof part !== 'string';
+  }).map(function(placeholder) {
+    return placeholder.name;
+  });
+};
+
+// Whether a field of a template is a tag.
+exports.isTag = function isTag(name) {
+  return name.slice(0, TAG_PREFIX.length) === TAG_PREFIX;
+};
+
+// Renders a template with the fields of a sample and the tags of its key.
+exports.render = function render(tpl, fields, tags) {
+  return compile(tpl).map(function(part) {
+    if (typeof part === 'string') {
+      return part;
+    }
+    var source = exports.isTag(part.name) ? tags : fields;
+    var key = exports.isTag(part.name) ? part.name.slice(TAG_PREFIX.length) : part.name;
+    var value = source.hasOwnProperty(key) && source[key] != null ? String(source[key]) : '';
+    part.steps.forEach(function(step) {
+      if (step.filter !== undefined) {
+        value = FILTERS[step.filter].apply(null, [value].concat(step.args));
+      } else if (value === '') {
+        value = step.defaultValue;
+      }
+    });
+    return value;
+  }).join('');
+};
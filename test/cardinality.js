@@ -0,0 +1,50 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const CardinalityLimiter = require('../lib/cardinality.js');
+
+describe('Cardinality limits', function() {
+  it('leaves the tags of rules without limits untouched', function() {
+    const limiter = new CardinalityLimiter();
+    assert.deepEqual(limiter.limit({}, 0, { env: 'prod' }), { labels: { env: 'prod' }, fields: {}, collapsed: false });
+  });
+
+  it('filters and promotes tag keys', function() {
+    const limiter = new CardinalityLimiter();
+    const rule = { tags: { deny: ['request_*'], promote: ['host', 'region'] } };
+    assert.deepEqual(limiter.limit(rule, 0, { env: 'prod', host: 'h1', request_id: '123' }), {
+      labels: { env: 'prod' },
+      fields: { host: 'h1', region: '' },
+      collapsed: false
+    });
+    const allowRule = { tags: { allow: ['env'] } };
+    assert.deepEqual(limiter.limit(allowRule, 1, { env: 'prod', host: 'h1' }).labels, { env: 'prod' });
+  });
+
+  it('collapses the values over maxValues into other', function() {
+    const limiter = new CardinalityLimiter();
+    const rule = { tags: { maxValues: { request_id: 2 } } };
+    const labels = ['1', '2', '3', '1'].map(function(id) {
+      return limiter.limit(rule, 0, { env: 'prod', request_id: id }).labels.request_id;
+    });
+    assert.deepEqual(labels, ['1', '2', 'other', '1']);
+    assert.equal(limiter.collapsedSeries, 1);
+  });
+
+  it('drops the series over maxSeries and keeps the known ones in the next flush', function() {
+    const limiter = new CardinalityLimiter();
+    const rule = { tags: { maxSeries: 2, overflow: 'drop' } };
+    const flush = function(hosts) {
+      limiter.startFlush();
+      return hosts.map(function(host) {
+        return limiter.limit(rule, 0, { host: host }) !== null;
+      });
+    };
+    assert.deepEqual(flush(['a', 'b', 'c', 'c']), [true, true, false, false]);
+    assert.equal(limiter.droppedSeries, 1);
+    assert.deepEqual(flush(['c', 'b', 'a']), [false, true, true]);
+    // Series that weren't reported in a flush are forgotten.
+    flush(['a']);
+    assert.deepEqual(flush(['c', 'b']), [true, false]);
+  });
+});
@@ -0,0 +1,80 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const Diagnostics = require('../lib/diagnostics.js');
+const ruleUtils = require('../lib/rules.js');
+
+describe('Diagnostics', function() {
+  const rules = [
+    { matchExpression: '^myapp\\.redis\\..*', metricSchema: '{app}.{service}.{metricName}', excludeExpression: 'debug' },
+    { matchExpression: '^myapp\\.web\\..*', metricSchema: '{app}.{service}.{metricName}', metricTypes: ['counters'] },
+    { matchPattern: '^myapp\\.db\\.(?<table>\\w+)\\.(?<metricName>.+)$' }
+  ];
+
+  it('finds the literal prefix of anchored expressions', function() {
+    assert.equal(ruleUtils.literalPrefix('^myapp\\.redis\\..*'), 'myapp.redis.');
+    assert.equal(ruleUtils.literalPrefix('^myapps?\\.redis'), 'myapp');
+    assert.equal(ruleUtils.literalPrefix('.*redis.*'), '');
+  });
+
+  it('explains why the nearest rule did not match a key', function() {
+    assert.equal(Diagnostics.nearestRule('myapp.redis.debug', ['myapp.redis.debug'], 'gauges', rules).reason, 'excluded by excludeExpression debug');
+    assert.equal(Diagnostics.nearestRule('myapp.web.load', ['myapp.web.load'], 'gauges', rules).reason, 'gauges are not in metricTypes');
+    assert.deepEqual(Diagnostics.nearestRule('myapp.db.users', ['myapp.db.users'], 'gauges', rules), {
+      rule: 2,
+      expression: rules[2].matchPattern,
+      reason: 'shares the prefix myapp.db. with the rule'
+    });
+    assert.equal(Diagnostics.nearestRule('other.key', ['other.key'], 'gauges', rules), null);
+    assert.equal(Diagnostics.nearestRule('myapp.db.users', ['myapp.db.users'], 'gauges', rules, {}, [0, 2, 4]).rule, 4);
+  });
+
+  it('explains that the tags of a key did not meet matchTags', function() {
+    const tagRules = [{ matchExpression: '^myapp\\.', metricSchema: '{app}.{metricName}', matchTags: { team: 'payments' } }];
+    assert.equal(Diagnostics.nearestRule('myapp.hits', ['myapp.hits'], 'counters', tagRules, { team: 'web' }).reason,
+      'tags {"team":"web"} don\'t meet matchTags');
+  });
+
+  it('reports the keys seen in more flushes first', function() {
+    const diagnostics = new Diagnostics({ topKeys: 2 });
+    ['a.one', 'a.two', 'a.three'].forEach(function(name, idx) {
+      for (let flush = 0; flush <= idx; flush++) {
+        diagnostics.startFlush();
+        diagnostics.unmatched(name, [name], 'gauges', rules);
+        diagnostics.unmatched(name, [name], 'gauges', rules);
+      }
+    });
+    diagnostics.schemaRejected('myapp.short', rules[0], 0);
+
+    assert.deepEqual(diagnostics.report(), {
+      unmatchedKeys: [{ key: 'a.three', count: 3 }, { key: 'a.two', count: 2 }],
+      schemaRejectedKeys: [{
+        key: 'myapp.short',
+        count: 1,
+        rule: 0,
+        expression: rules[0].matchExpression,
+        reason: 'has less elements than metricSchema {app}.{service}.{metricName}'
+      }],
+      untrackedKeys: 0
+    });
+  });
+
+  it('only counts the keys over maxKeys', function() {
+    const diagnostics = new Diagnostics({ maxKeys: 1 });
+    diagnostics.unmatched('a.one', ['a.one'], 'gauges', rules);
+    diagnostics.unmatched('a.two', ['a.two'], 'gauges', rules);
+    assert.equal(diagnostics.report().unmatchedKeys.length, 1);
+    assert.equal(diagnostics.report().untrackedKeys, 1);
+  });
+
+  it('summarizes the keys once per interval', function() {
+    const diagnostics = new Diagnostics({ intervalSeconds: 60 });
+    const now = Date.now();
+    diagnostics.unmatched('myapp.redis.debug', ['myapp.redis.debug'], 'gauges', rules);
+    assert.equal(diagnostics.summary(now), null);
+    assert.equal(diagnostics.summary(now + 60000),
+      '1 keys not matched by any rule. Top keys: myapp.redis.debug (1 flushes, rule 0 ^myapp\\.redis\\..*: ' +
+      'excluded by excludeExpression debug). 0 keys with less elements than the metricSchema of their rule.');
+    assert.equal(diagnostics.summary(now + 90000), null);
+  });
+});
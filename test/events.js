@@ -0,0 +1,71 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const EventTracker = require('../lib/events.js');
+
+describe('Events and inventory', function() {
+  const rule = {
+    events: [
+      { attribute: 'lag', above: 30, summary: 'Replication lag of {host} is {value}s', category: 'replication' },
+      { attribute: 'version.count', changed: true }
+    ],
+    inventory: { version: 'version.count', role: 'role' }
+  };
+  const sample = function(lag, versions) {
+    return {
+      'Redis:host1': {
+        entity: { name: 'host1', type: 'Redis' },
+        metrics: { RedisSample: { host: 'host1', 'label.env': 'prod', lag: lag, 'version.count': versions.length, role: 1 } },
+        dimensions: { RedisSample: { host: true, 'label.env': true } },
+        types: {
+          RedisSample: {
+            lag: { metricType: 'gauges', suffix: '', metric: 'lag' },
+            'version.count': { metricType: 'sets', suffix: '.count', metric: 'version', members: versions },
+            role: { metricType: 'gauges', suffix: '', metric: 'role' }
+          }
+        },
+        rules: { RedisSample: [rule] }
+      }
+    };
+  };
+
+  it('reports thresholds when they are crossed', function() {
+    const tracker = new EventTracker();
+    const flushes = [10, 35, 40, 20, 31].map(function(lag) {
+      const data = sample(lag, ['1.0']);
+      tracker.evaluate(data);
+      return data['Redis:host1'].events.map(function(event) { return event.summary; });
+    });
+    assert.deepEqual(flushes, [
+      [],
+      ['Replication lag of host1 is 35s'],
+      [],
+      [],
+      ['Replication lag of host1 is 31s']
+    ]);
+  });
+
+  it('reports changes with the schema fields and labels of the sample', function() {
+    const tracker = new EventTracker();
+    assert.equal(tracker.evaluate(sample(0, ['1.0'])), 0);
+    const data = sample(0, ['1.1', '1.0']);
+    assert.equal(tracker.evaluate(data), 1);
+    assert.deepEqual(data['Redis:host1'].events, [{
+      summary: 'version.count changed from 1.0 to 1.0,1.1',
+      category: 'notifications',
+      host: 'host1',
+      'label.env': 'prod'
+    }]);
+  });
+
+  it('moves the inventory attributes out of the samples', function() {
+    const data = EventTracker.inventory(sample(5, ['1.1', '1.0']));
+    assert.deepEqual(data['Redis:host1'].inventory, { version: { value: '1.0,1.1' }, role: { value: 1 } });
+    assert.deepEqual(data['Redis:host1'].metrics, { RedisSample: { host: 'host1', 'label.env': 'prod', lag: 5 } });
+
+    const inventoryOnly = sample(5, ['1.0']);
+    delete inventoryOnly['Redis:host1'].metrics.RedisSample.lag;
+    EventTracker.inventory(inventoryOnly);
+    assert.deepEqual(inventoryOnly['Redis:host1'].metrics, {});
+  });
+});
@@ -0,0 +1,33 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const expressions = require('../lib/expressions.js');
+
+describe('Derived metric expressions', function() {
+  const values = { hits: 30, misses: 10, 'my_timer.sum': 500, 'my-counter': 4, zero: 0, label: 'cache' };
+
+  it('evaluates arithmetic with precedence and parentheses', function() {
+    assert.equal(expressions.evaluate('hits / (hits + misses)', values), 0.75);
+    assert.equal(expressions.evaluate('hits + misses * 2', values), 50);
+    assert.equal(expressions.evaluate('-(hits - misses) / 4', values), -5);
+    assert.equal(expressions.evaluate('1.5e2 - 50', values), 100);
+  });
+
+  it('references attributes with dots and braces', function() {
+    assert.equal(expressions.evaluate('my_timer.sum / 1000', values), 0.5);
+    assert.equal(expressions.evaluate('{my-counter} * 2', values), 8);
+  });
+
+  it('returns undefined for missing inputs, non numbers and divisions by zero', function() {
+    assert.strictEqual(expressions.evaluate('hits / requests', values), undefined);
+    assert.strictEqual(expressions.evaluate('label * 2', values), undefined);
+    assert.strictEqual(expressions.evaluate('hits / zero', values), undefined);
+    assert.strictEqual(expressions.evaluate('hits / (misses - 10)', values), undefined);
+  });
+
+  it('rejects invalid expressions', function() {
+    ['hits +', '(hits', 'hits misses', 'hits % 2', ''].forEach(function(expression) {
+      assert.throws(function() { expressions.compile(expression); }, SyntaxError);
+    });
+  });
+});
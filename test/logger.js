@@ -0,0 +1,34 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const Logger = require('../lib/logger.js');
+
+describe('Logger', function() {
+  it('discards the messages less severe than its level', function() {
+    const messages = [];
+    const logger = new Logger({ log: function(msg, type) { messages.push(type + ' ' + msg); } }, 'warn');
+    logger.error('failed');
+    logger.warn('retrying');
+    logger.info('reloaded');
+    logger.debug('payload');
+    assert.deepEqual(messages, ['ERR failed', 'WARNING retrying']);
+    assert.equal(logger.enabled('debug'), false);
+  });
+
+  it('prints the type before the message with util', function() {
+    const util = require('util');
+    const log = util.log;
+    const messages = [];
+    util.log = function() { messages.push(Array.prototype.slice.call(arguments)); };
+    try {
+      new Logger(util, 'info').warn('retrying');
+    } finally {
+      util.log = log;
+    }
+    assert.deepEqual(messages, [['WARNING: retrying']]);
+  });
+
+  it('falls back to info with unknown levels', function() {
+    assert.equal(new Logger({ log: function() {} }, 'verbose').level, 'info');
+  });
+});
@@ -0,0 +1,83 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const metricApi = require('../lib/metric-api.js');
+
+describe('Metric API payloads', function() {
+  const data = {
+    'Redis Cluster:Production Host1': {
+      entity: { name: 'Production Host1', type: 'Redis Cluster' },
+      metrics: {
+        RedisSample: {
+          app: 'myapp',
+          'label.env': 'prod',
+          hits: 30,
+          hitsPerSecond: 3,
+          memory: 3.1,
+          'latency.count': 4,
+          'latency.sum': 10,
+          'latency.lower': 1,
+          'latency.upper': 4,
+          'latency.mean': 2.5,
+          'slow.upper': 8
+        }
+      },
+      dimensions: { RedisSample: { app: true, 'label.env': true } },
+      types: {
+        RedisSample: {
+          hits: { metricType: 'counters', suffix: '', metric: 'hits' },
+          hitsPerSecond: { metricType: 'counters', suffix: 'PerSecond', metric: 'hits' },
+          memory: { metricType: 'gauges', suffix: '', metric: 'memory' },
+          'latency.count': { metricType: 'timers', suffix: '.count', metric: 'latency' },
+          'latency.sum': { metricType: 'timers', suffix: '.sum', metric: 'latency' },
+          'latency.lower': { metricType: 'timers', suffix: '.lower', metric: 'latency' },
+          'latency.upper': { metricType: 'timers', suffix: '.upper', metric: 'latency' },
+          'latency.mean': { metricType: 'timers', suffix: '.mean', metric: 'latency' },
+          'slow.upper': { metricType: 'timers', suffix: '.upper', metric: 'slow' }
+        }
+      }
+    }
+  };
+  const attributes = {
+    eventType: 'RedisSample',
+    entityName: 'Production Host1',
+    entityType: 'Redis Cluster',
+    app: 'myapp',
+    'label.env': 'prod'
+  };
+
+  it('converts the samples into dimensional metrics', function() {
+    assert.deepEqual(metricApi.composePayload(data, 12345, 10000), [{
+      common: { timestamp: 12345000, 'interval.ms': 10000 },
+      metrics: [
+        { name: 'hits', type: 'count', value: 30, attributes: attributes },
+        { name: 'hitsPerSecond', type: 'gauge', value: 3, attributes: attributes },
+        { name: 'memory', type: 'gauge', value: 3.1, attributes: attributes },
+        { name: 'latency.mean', type: 'gauge', value: 2.5, attributes: attributes },
+        { name: 'latency', type: 'summary', value: { count: 4, sum: 10, min: 1, max: 4 }, attributes: attributes },
+        { name: 'slow.upper', type: 'gauge', value: 8, attributes: attributes }
+      ]
+    }]);
+  });
+
+  it('sends the global labels as common attributes', function() {
+    const payload = metricApi.composePayload(data, 12345, 10000, { 'label.region': 'eu', 'label.env': 'staging' });
+    assert.deepEqual(payload[0].common, {
+      timestamp: 12345000,
+      'interval.ms': 10000,
+      attributes: { 'label.region': 'eu', 'label.env': 'staging' }
+    });
+    assert.deepEqual(payload[0].metrics[0].attributes, attributes);
+  });
+
+  it('splits payloads bigger than the limit', function() {
+    const payload = metricApi.composePayload(data, 12345, 10000);
+    const parts = metricApi.splitPayload(payload, 400);
+    assert.equal(parts.length > 1, true);
+    parts.forEach(function(part) {
+      assert.deepEqual(part[0].common, payload[0].common);
+      assert.equal(Buffer.byteLength(JSON.stringify(part)) <= 400 || part[0].metrics.length === 1, true);
+    });
+    assert.deepEqual([].concat.apply([], parts.map(function(part) { return part[0].metrics; })), payload[0].metrics);
+  });
+});
@@ -0,0 +1,20 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const PayloadParts = require('../lib/payload-parts.js');
+
+describe('Payload parts', function() {
+  it('keeps the size of the JSON of the current part', function() {
+    const parts = new PayloadParts(22);
+    const first = parts.start({ metrics: [] });
+    assert.equal(parts.fits(PayloadParts.size(1)), true);
+    parts.add(first.metrics, 1, PayloadParts.size(1));
+    parts.add(first.metrics, 22, PayloadParts.size(22));
+    assert.equal(parts.currentSize >= PayloadParts.size(first), true);
+    assert.equal(parts.fits(PayloadParts.size(333)), false);
+
+    const second = parts.start({ metrics: [] });
+    parts.add(second.metrics, 333, PayloadParts.size(333));
+    assert.deepEqual(parts.payloads, [{ metrics: [1, 22] }, { metrics: [333] }]);
+  });
+});
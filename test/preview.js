@@ -0,0 +1,107 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const preview = require('../lib/preview.js');
+
+describe('Rule previewer', function() {
+  const rule = {
+    matchExpression: 'redis',
+    metricSchema: '{app}.{service}.{metricName}',
+    entityType: 'Redis',
+    entityName: '{app}',
+    eventType: 'RedisSample'
+  };
+  let dir;
+  const output = function() {
+    return { text: '', write: function(chunk) { this.text += chunk; } };
+  };
+  const writeFile = function(name, content) {
+    fs.writeFileSync(path.join(dir, name), content);
+    return path.join(dir, name);
+  };
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nri-preview-'));
+  });
+
+  afterEach(function() {
+    fs.readdirSync(dir).forEach(function(file) { fs.unlinkSync(path.join(dir, file)); });
+    fs.rmdirSync(dir);
+  });
+
+  it('aggregates StatsD lines as a flush', function() {
+    const metrics = preview.parseLines('a.hits:3|c|@0.5\na.hits:1|c\na.load:5|g\na.load:-2|g\na.lat:10|ms\na.lat:20|ms|#env:prod\na.users:bob|s\na.users:bob|s\n', 10000, [90]);
+    assert.deepEqual(metrics.counters, { 'a.hits': 7 });
+    assert.deepEqual(metrics.counter_rates, { 'a.hits': 0.7 });
+    assert.deepEqual(metrics.gauges, { 'a.load': 3 });
+    assert.deepEqual(Object.keys(metrics.timer_data), ['a.lat', 'a.lat#env:prod']);
+    assert.equal(metrics.timer_data['a.lat'].upper_90, 10);
+    assert.equal(metrics.sets['a.users'].size(), 1);
+    assert.throws(function() { preview.parseLines('a.hits:1|x', 10000, []); }, /Line 1 has an unsupported metric type/);
+  });
+
+  it('takes configurations without a newrelic key as the newrelic section', function() {
+    const file = writeFile('newrelic.js', '{ rules: [], port: 8001 }');
+    assert.deepEqual(preview.loadConfig(file), { newrelic: { rules: [], port: 8001 } });
+  });
+
+  it('prints the payload and what the rules did with every key', function() {
+    const config = writeFile('config.json', JSON.stringify({ newrelic: { rules: [rule], metricsLimit: 3 } }));
+    const metrics = writeFile('metrics.json', JSON.stringify({
+      gauges: { 'myapp.redis.memory': 3, 'redis.short': 1, 'other.key': 1 },
+      sets: { 'otherapp.cache.redis.users': ['bob'] },
+      counters: { 'myapp.redis.hits': 10 },
+      counter_rates: { 'myapp.redis.hits': 1 }
+    }));
+    const out = output();
+    const err = output();
+
+    assert.equal(preview.main(['--metrics', metrics, '--timestamp', '100', config], out, err), 0);
+    const lines = out.text.split('\n');
+    assert.equal(lines[0], 'Destination localhost:8001 (infrastructure)');
+    const payload = JSON.parse(lines.slice(3, lines.indexOf('Keys:') - 1).join('\n'));
+    assert.deepEqual(payload.metrics, [
+      { event_type: 'StatsdLimitErrorSample', numberOfMetrics: 5, configuredLimit: 3 },
+      { event_type: 'RedisSample', app: 'otherapp', service: 'cache', 'redis.users.count': 1 }
+    ]);
+    assert.deepEqual(lines.slice(lines.indexOf('Keys:')), [
+      'Keys:',
+      '  myapp.redis.hits (counters): matched by rules[0]',
+      '  myapp.redis.memory (gauges): matched by rules[0]',
+      '  other.key (gauges): not matched by any rule',
+      '  otherapp.cache.redis.users (sets): matched by rules[0]',
+      '  redis.short (gauges): rejected by rules[0]: redis.short has less elements than its metricSchema',
+      '',
+      'Samples over metricsLimit (3):',
+      '  RedisSample of Redis:myapp has 5 attributes: dropped',
+      ''
+    ]);
+  });
+
+  it('exits with an error when the configuration has errors', function() {
+    const config = writeFile('config.json', JSON.stringify({ newrelic: { rules: [{ matchExpression: '(' }] } }));
+    const err = output();
+    assert.equal(preview.main([config], output(), err), 1);
+    assert.equal(err.text.split('\n')[0], 'Error: Invalid configuration for backend \'newrelic\': rules[0].matchExpression is not a valid regular expression: Invalid regular expression: /(/: Unterminated group');
+    assert.equal(preview.main(['--lines'], output(), output()), 2);
+  });
+
+  it('exits with an error when an option has an unsupported value', function() {
+    const config = writeFile('config.json', JSON.stringify({ newrelic: { rules: [rule], overflowMode: 'spilt' } }));
+    const err = output();
+    assert.equal(preview.main([config], output(), err), 1);
+    assert.equal(err.text.split('\n')[0], 'Error: Invalid configuration for backend \'newrelic\': overflowMode must be drop or split');
+  });
+
+  it('checks the retry settings without loading the spool directory', function() {
+    const spoolDir = path.join(dir, 'spool');
+    const config = writeFile('config.json', JSON.stringify({ newrelic: { rules: [rule], retry: { spoolDir: spoolDir, maxPayloads: -1 } } }));
+    const err = output();
+    assert.equal(preview.main([config], output(), err), 1);
+    assert.equal(err.text.split('\n')[0], 'Error: Invalid configuration for backend \'newrelic\': retry.maxPayloads must be a positive number');
+    assert.equal(fs.existsSync(spoolDir), false);
+  });
+});
@@ -0,0 +1,104 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../lib/logger.js');
+const RetryQueue = require('../lib/retry-queue.js');
+
+describe('Retry queue', function() {
+  const logger = new Logger({ log: function() {} }, 'debug');
+  const failingSend = function(payload, callback) {
+    callback(new Error('connection refused'));
+  };
+
+  it('retries queued payloads in order until they are sent', function(done) {
+    const sent = [];
+    let attempts = 0;
+    const queue = new RetryQueue({ initialBackoffSeconds: 0.01 }, function(payload, callback) {
+      attempts++;
+      if (attempts === 1) {
+        return callback(new Error('HTTP 503'));
+      }
+      sent.push(payload);
+      callback();
+      if (payload === 'second') {
+        setImmediate(function() {
+          assert.deepEqual(sent, ['first', 'second']);
+          assert.equal(queue.length(), 0);
+          done();
+        });
+      }
+    }, logger);
+    queue.push('first');
+    queue.push('second');
+  });
+
+  it('grows the backoff exponentially up to the maximum', function() {
+    const queue = new RetryQueue({ initialBackoffSeconds: 1, maxBackoffSeconds: 5 }, failingSend, logger);
+    const delays = [0, 1, 2, 3, 4].map(function(failures) {
+      queue.failures = failures;
+      return queue.backoff();
+    });
+    assert.deepEqual(delays, [1000, 1000, 2000, 4000, 5000]);
+  });
+
+  it('drops the oldest payloads when it is full', function() {
+    const queue = new RetryQueue({ maxPayloads: 2, initialBackoffSeconds: 60 }, failingSend, logger);
+    queue.push('a');
+    queue.push('b');
+    assert.equal(queue.push('c'), true);
+    assert.deepEqual(queue.items.map(function(i) { return i.payload; }), ['b', 'c']);
+    assert.deepEqual(queue.stats(), { retry_queue_length: 2, retry_queue_bytes: 2, retry_dropped_payloads: 1 });
+    clearTimeout(queue.timer);
+  });
+
+  it('drops the newest payloads when it is full and dropPolicy is newest', function() {
+    const queue = new RetryQueue({ maxBytes: 4, dropPolicy: 'newest', initialBackoffSeconds: 60 }, failingSend, logger);
+    queue.push('aa');
+    queue.push('bb');
+    assert.equal(queue.push('cc'), false);
+    assert.deepEqual(queue.items.map(function(i) { return i.payload; }), ['aa', 'bb']);
+    assert.equal(queue.stats().retry_dropped_payloads, 1);
+    clearTimeout(queue.timer);
+  });
+
+  it('waits the Retry-After of the server before retrying', function() {
+    const queue = new RetryQueue({ initialBackoffSeconds: 1 }, failingSend, logger);
+    queue.retryAfter(null);
+    assert.equal(queue.backoff(), 1000);
+    queue.retryAfter(30000);
+    assert.equal(queue.backoff() > 29000, true);
+    queue.retryAfter(5000);
+    assert.equal(queue.backoff() > 29000, true);
+  });
+
+  it('discards payloads older than maxAgeSeconds', function() {
+    const queue = new RetryQueue({ maxAgeSeconds: 10, initialBackoffSeconds: 60 }, failingSend, logger);
+    queue.push('old', Date.now() - 11000);
+    queue.push('new');
+    assert.deepEqual(queue.items.map(function(i) { return i.payload; }), ['new']);
+    clearTimeout(queue.timer);
+  });
+
+  it('keeps queued payloads in the spool directory across restarts', function() {
+    const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nri-spool-'));
+    const options = { spoolDir: spoolDir, initialBackoffSeconds: 60 };
+    const queue = new RetryQueue(options, failingSend, logger);
+    queue.push('first');
+    queue.push('second');
+    clearTimeout(queue.timer);
+    assert.equal(fs.readdirSync(spoolDir).length, 2);
+
+    const restarted = new RetryQueue(options, failingSend, logger);
+    clearTimeout(restarted.timer);
+    assert.deepEqual(restarted.items.map(function(i) { return i.payload; }), ['first', 'second']);
+    assert.equal(fs.readdirSync(spoolDir).length, 2);
+
+    restarted.remove(restarted.items[0]);
+    restarted.remove(restarted.items[0]);
+    assert.deepEqual(fs.readdirSync(spoolDir), []);
+    fs.rmdirSync(spoolDir);
+  });
+});
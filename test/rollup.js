@@ -0,0 +1,69 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const Rollup = require('../lib/rollup.js');
+
+describe('Rollup', function() {
+  const statsdSet = function(members) {
+    return {
+      size: function() { return members.length; },
+      values: function() { return members.slice(); }
+    };
+  };
+
+  it('sums the counters and computes their rates for the whole interval', function() {
+    const rollup = new Rollup(2000);
+    rollup.add(100, { counters: { hits: 4, errors: 1 }, counter_rates: { hits: 2, errors: 0.5 } });
+    rollup.add(102, { counters: { hits: 6 }, counter_rates: { hits: 3 } });
+    assert.equal(rollup.intervalMs(), 4000);
+    assert.equal(rollup.timestamp, 102);
+    const metrics = rollup.metrics();
+    assert.deepEqual(metrics.counters, { hits: 10, errors: 1 });
+    assert.deepEqual(metrics.counter_rates, { hits: 2.5, errors: 0.25 });
+  });
+
+  it('keeps the last value of the gauges and the set with the highest count', function() {
+    const rollup = new Rollup(2000);
+    rollup.add(100, { gauges: { load: 3, memory: 10 }, sets: { users: statsdSet(['a', 'b']) } });
+    rollup.add(102, { gauges: { load: 5 }, sets: { users: statsdSet(['c']) } });
+    const metrics = rollup.metrics();
+    assert.deepEqual(metrics.gauges, { load: 5, memory: 10 });
+    assert.equal(metrics.sets.users.size(), 2);
+    assert.deepEqual(metrics.sets.users.values(), ['a', 'b']);
+  });
+
+  it('combines the statistics of the timers', function() {
+    const rollup = new Rollup(2000);
+    rollup.add(100, { timer_data: { latency: {
+      count: 1, count_ps: 0.5, lower: 10, upper: 10, sum: 10, mean: 10, median: 10,
+      count_90: 1, upper_90: 10, sum_90: 10, mean_90: 10, histogram: { bin_50: 1 }
+    } } });
+    rollup.add(102, { timer_data: { latency: {
+      count: 3, count_ps: 1.5, lower: 2, upper: 30, sum: 42, mean: 14, median: 10,
+      count_90: 2, upper_90: 20, sum_90: 22, mean_90: 11, histogram: { bin_50: 2, bin_inf: 1 }
+    } } });
+    assert.deepEqual(rollup.metrics().timer_data.latency, {
+      count: 4,
+      count_ps: 1,
+      lower: 2,
+      upper: 30,
+      sum: 52,
+      mean: 13,
+      median: 10,
+      count_90: 3,
+      upper_90: 20,
+      sum_90: 32,
+      mean_90: 32 / 3,
+      histogram: { bin_50: 3, bin_inf: 1 }
+    });
+  });
+
+  it('starts again after a reset', function() {
+    const rollup = new Rollup(2000);
+    rollup.add(100, { counters: { hits: 4 }, gauges: { load: 1 } });
+    rollup.reset();
+    assert.equal(rollup.flushes, 0);
+    rollup.add(102, { counters: { hits: 2 } });
+    assert.deepEqual(rollup.metrics(), { counters: { hits: 2 }, counter_rates: { hits: 1 }, gauges: {}, timer_data: {}, sets: {} });
+  });
+});
@@ -0,0 +1,61 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const RuleIndex = require('../lib/rule-index.js');
+
+describe('Rule index', function() {
+  it('compiles the expressions and the schema of a rule', function() {
+    const compiled = new RuleIndex.CompiledRule({
+      matchExpression: '.*\\.latency',
+      excludeExpression: '^test\\.',
+      metricSchema: '{app}.{service}.{metricName}'
+    }, 3);
+    assert.equal(compiled.index, 3);
+    assert.ok(compiled.matches('myapp.redis.latency'));
+    assert.ok(!compiled.matches('test.redis.latency'));
+    assert.ok(!compiled.matches('myapp.redis.hits'));
+    assert.deepEqual(compiled.schemaFields('myapp.redis.latency.upper'), { app: 'myapp', service: 'redis', metricName: 'latency.upper' });
+    assert.equal(compiled.schemaFields('myapp.latency'), null);
+  });
+
+  it('checks the tag conditions of a rule', function() {
+    const compiled = new RuleIndex.CompiledRule({ metricSchema: '{app}.{metricName}', matchTags: { team: { equals: 'payments' } } }, 0);
+    assert.ok(compiled.matchesTags({ team: 'payments', env: 'prod' }));
+    assert.ok(!compiled.matchesTags({ env: 'prod' }));
+    assert.ok(new RuleIndex.CompiledRule({ metricSchema: '{app}.{metricName}' }, 0).matchesTags({}));
+  });
+
+  it('returns copies of the cached schema fields', function() {
+    const compiled = new RuleIndex.CompiledRule({ metricSchema: '{app}.{metricName}' }, 0);
+    const fields = compiled.schemaFields('myapp.hits');
+    fields.metricName = 'hitsPerSecond';
+    assert.deepEqual(compiled.schemaFields('myapp.hits'), { app: 'myapp', metricName: 'hits' });
+  });
+
+  it('selects the rules that can match a metric name, in their order', function() {
+    const index = new RuleIndex([
+      { matchExpression: '^myapp\\.redis\\.' },
+      { matchExpression: '.*\\.errors$' },
+      { matchExpression: '^otherapp\\.' },
+      { matchPattern: '^myapp\\.(?<service>[^.]+)\\.(?<metricName>.+)$' },
+      { matchExpression: '^myapp|^otherapp' }
+    ]);
+    const indexes = function(metricName) {
+      return index.candidates(metricName).map(function(compiled) {
+        return compiled.index;
+      });
+    };
+    assert.deepEqual(indexes('myapp.redis.hits'), [0, 1, 3, 4]);
+    assert.deepEqual(indexes('myapp.mysql.hits'), [1, 3, 4]);
+    assert.deepEqual(indexes('otherapp.hits'), [1, 2, 4]);
+    // Keys are the name with a suffix, so a shorter name can still match.
+    assert.deepEqual(indexes('myapp'), [0, 1, 3, 4]);
+    assert.strictEqual(index.candidates('myapp.redis.hits'), index.candidates('myapp.redis.hits'));
+  });
+
+  it('keeps the positions of the rules in the configuration', function() {
+    const index = new RuleIndex([{ matchExpression: '^a\\.' }, { matchExpression: '^b\\.' }], [0, 2]);
+    assert.deepEqual(index.indexes, [0, 2]);
+    assert.equal(index.candidates('b.hits')[0].index, 2);
+  });
+});
@@ -0,0 +1,293 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const rules = require('../lib/rules.js');
+
+describe('Rules validation', function() {
+  const validRule = {
+    matchExpression: '.*redis.*',
+    metricSchema: '{app}.{service}.{metricName}',
+    entityType: 'Redis Cluster',
+    entityName: '{app} {service}',
+    eventType: 'RedisSample',
+    labels: { role: 'cache', app: '{app}' }
+  };
+  const messages = function(result) {
+    return result.errors.map(rules.formatError);
+  };
+
+  it('accepts valid rules', function() {
+    const result = rules.validate([validRule]);
+    assert.deepEqual(result, { rules: [validRule], indexes: [0], errors: [] });
+  });
+
+  it('reports every problem with the rule index and field', function() {
+    const result = rules.validate([validRule, {
+      matchExpression: '(redis',
+      metricSchema: '{app}.{service}',
+      eventType: '{app}Sample',
+      entityName: '{host}',
+      labels: { role: 3 }
+    }]);
+    assert.deepEqual(result.rules, [validRule]);
+    assert.deepEqual(result.indexes, [0]);
+    assert.deepEqual(messages(result), [
+      'rules[1].matchExpression is not a valid regular expression: Invalid regular expression: /(redis/: Unterminated group',
+      'rules[1].metricSchema must contain the {metricName} placeholder',
+      'rules[1].eventType can\'t use variable substitutions: {app}Sample',
+      'rules[1].entityType is required',
+      'rules[1].entityName uses {host}, which is not a field of metricSchema',
+      'rules[1].labels.role must be a string'
+    ]);
+  });
+
+  it('does not allow the metric name in labels', function() {
+    const rule = Object.assign({}, validRule, { labels: { name: '{metricName}' } });
+    assert.deepEqual(messages(rules.validate([rule])), [
+      'rules[0].labels.name uses {metricName}, which is not a field of metricSchema'
+    ]);
+  });
+
+  it('reports rules that are not objects', function() {
+    assert.deepEqual(messages(rules.validate([null])), ['rules[0] rule must be an object']);
+    assert.deepEqual(messages(rules.validate({})), ['rules must be a list of rules']);
+  });
+
+  describe('matchPattern', function() {
+    const patternRule = {
+      matchPattern: '^(?<app>[^.]+)\\.hosts\\.(?<host>.+)\\.redis\\.(?<metricName>[^.]+)$',
+      entityType: 'Redis',
+      entityName: '{host}',
+      eventType: 'RedisSample',
+      labels: { app: '{app}' }
+    };
+
+    it('accepts rules with a pattern instead of a schema', function() {
+      assert.deepEqual(rules.validate([patternRule]).errors, []);
+    });
+
+    it('requires a metricName group and known placeholders', function() {
+      const rule = Object.assign({}, patternRule, {
+        matchPattern: '^(?<app>[^.]+)\\.(?<name>.+)$',
+        metricSchema: '{app}.{metricName}'
+      });
+      assert.deepEqual(messages(rules.validate([rule])), [
+        'rules[0].metricSchema can\'t be used together with matchPattern',
+        'rules[0].matchPattern must have a named capture group (?<metricName>...)',
+        'rules[0].entityName uses {host}, which is not a field of matchPattern'
+      ]);
+    });
+
+    it('reports invalid patterns', function() {
+      const rule = Object.assign({}, patternRule, { matchPattern: '(?<a>x)(?<a>y)' });
+      assert.deepEqual(messages(rules.validate([rule])), [
+        'rules[0].matchPattern is not a valid regular expression: Duplicate capture group name a'
+      ]);
+    });
+
+    it('extracts the named groups', function() {
+      assert.deepEqual(rules.extractPatternFields('myapp.hosts.10.0.0.1.redis.hits', patternRule.matchPattern), {
+        app: 'myapp', host: '10.0.0.1', metricName: 'hits'
+      });
+      assert.equal(rules.extractPatternFields('myapp.redis.hits', patternRule.matchPattern), null);
+    });
+
+    it('handles unnamed groups, character classes, back references and optional groups', function() {
+      const pattern = '^(?:pre\\.)?([(])(?<a>x+)\\k<a>(\\.(?<b>[^.]+)\\.)?(?<metricName>\\w+)$';
+      assert.deepEqual(rules.extractPatternFields('pre.(xxxxhits', pattern), { a: 'xx', metricName: 'hits' });
+      assert.deepEqual(rules.extractPatternFields('(xx.opt.hits', pattern), { a: 'x', b: 'opt', metricName: 'hits' });
+    });
+  });
+
+  describe('metric selection', function() {
+    it('validates the metric selection fields', function() {
+      const rule = Object.assign({}, validRule, {
+        metricTypes: ['counters', 'histograms'],
+        counterValues: 'sum',
+        timerStats: ['upper_*'],
+        excludeTimerStats: 'std',
+        rename: { upper_95: '' }
+      });
+      assert.deepEqual(messages(rules.validate([rule])), [
+        'rules[0].metricTypes contains unknown metric type histograms. Supported types: counters, gauges, timers, sets',
+        'rules[0].counterValues must be one of count, rate, both',
+        'rules[0].excludeTimerStats must be a list of timer statistics',
+        'rules[0].excludeTimerStats can\'t be used together with timerStats',
+        'rules[0].rename.upper_95 must be a non empty string'
+      ]);
+    });
+
+    it('selects timer statistics with wildcards', function() {
+      const allowed = { timerStats: ['upper_*', 'mean'] };
+      const denied = { excludeTimerStats: ['*_90', 'histogram'] };
+      assert.deepEqual(['upper', 'upper_90', 'mean', 'mean_90', 'std'].map(function(stat) {
+        return rules.timerStatSelected(allowed, stat);
+      }), [false, true, true, false, false]);
+      assert.deepEqual(['upper', 'upper_90', 'mean', 'histogram'].map(function(stat) {
+        return rules.timerStatSelected(denied, stat);
+      }), [true, false, true, false]);
+      assert.equal(rules.timerStatSelected({}, 'sum_squares'), true);
+    });
+
+    it('renames attributes and suffixes', function() {
+      const rule = { rename: { upper_95: 'p95', PerSecond: '_rate', 'my_gauge': 'gauge' } };
+      assert.equal(rules.renameAttribute(rule, 'my_timer.upper_95', '.upper_95'), 'my_timer.p95');
+      assert.equal(rules.renameAttribute(rule, 'hitsPerSecond', 'PerSecond'), 'hits_rate');
+      assert.equal(rules.renameAttribute(rule, 'my_gauge', ''), 'gauge');
+      assert.equal(rules.renameAttribute(rule, 'my_timer.upper', '.upper'), 'my_timer.upper');
+      assert.equal(rules.renameAttribute({}, 'my_gauge', ''), 'my_gauge');
+    });
+  });
+
+  describe('transforms and derived attributes', function() {
+    it('validates transforms and derived attributes', function() {
+      const rule = Object.assign({}, validRule, {
+        transforms: { '*.sum': { divide: 0, log: 2 }, latency: { round: 1.5 } },
+        derived: { ratio: 'hits /', total: { expression: 'hits + misses', default: 'none' }, other: 3 }
+      });
+      assert.deepEqual(messages(rules.validate([rule])), [
+        'rules[0].transforms.*.sum has unknown operation log. Supported operations: multiply, divide, min, max, round',
+        'rules[0].transforms.*.sum.divide can\'t be 0',
+        'rules[0].transforms.latency.round must be a number of decimals',
+        'rules[0].derived.ratio is not a valid expression: Unexpected end of expression hits /',
+        'rules[0].derived.total.default must be a number',
+        'rules[0].derived.other must be an expression or an object with an expression'
+      ]);
+    });
+
+    it('applies the first matching transform', function() {
+      const rule = { transforms: {
+        'my_timer.upper': { divide: 1000, round: 1 },
+        'my_timer.*': { divide: 1000 },
+        'usage': { multiply: 100, min: 0, max: 100, round: 0 }
+      } };
+      assert.equal(rules.transformValue(rule, 'my_timer.upper', 1234), 1.2);
+      assert.equal(rules.transformValue(rule, 'my_timer.mean', 1234), 1.234);
+      assert.equal(rules.transformValue(rule, 'usage', 1.5), 100);
+      assert.equal(rules.transformValue(rule, 'usage', 0.456), 46);
+      assert.equal(rules.transformValue(rule, 'other', 7), 7);
+      assert.equal(rules.transformValue(rule, 'usage', 'n/a'), 'n/a');
+    });
+
+    it('derives attributes with defaults for values that can not be computed', function() {
+      const rule = { derived: {
+        total: 'hits + misses',
+        hitRatio: 'hits / total',
+        errorRatio: { expression: 'errors / total', default: 0 },
+        missing: 'unknown * 2'
+      } };
+      const values = { hits: 0, misses: 0 };
+      assert.equal(rules.deriveAttributes(rule, values), 2);
+      assert.deepEqual(values, { hits: 0, misses: 0, total: 0, errorRatio: 0 });
+    });
+  });
+
+  describe('matchTags', function() {
+    it('validates the tag conditions', function() {
+      const rule = Object.assign({}, validRule, {
+        matchTags: {
+          team: 'payments',
+          canary: false,
+          region: { matches: '^eu-', notEquals: 'eu-west-3' },
+          zone: { present: 'yes' },
+          host: { like: 'web*' },
+          pod: { matches: '(' },
+          env: 3
+        }
+      });
+      assert.deepEqual(messages(rules.validate([rule])), [
+        'rules[0].matchTags.zone.present must be true or false',
+        'rules[0].matchTags.host has unknown condition like. Supported conditions: present, equals, notEquals, matches',
+        'rules[0].matchTags.pod.matches is not a valid regular expression: Invalid regular expression: /(/: Unterminated group',
+        'rules[0].matchTags.env must be true, false, a tag value or an object with present, equals, notEquals, matches'
+      ]);
+    });
+
+    it('tells whether the tags of a key meet the conditions', function() {
+      const rule = { matchTags: { team: 'payments', region: { matches: '^eu-' }, canary: false, stage: { notEquals: 'test' } } };
+      assert.ok(rules.matchesTags(rule, { team: 'payments', region: 'eu-west-1' }));
+      assert.ok(rules.matchesTags(rule, { team: 'payments', region: 'eu-west-1', stage: 'prod' }));
+      assert.ok(!rules.matchesTags(rule, { team: 'payments', region: 'eu-west-1', stage: 'test' }));
+      assert.ok(!rules.matchesTags(rule, { team: 'payments', region: 'us-east-1' }));
+      assert.ok(!rules.matchesTags(rule, { team: 'payments', region: 'eu-west-1', canary: 'true' }));
+      assert.ok(!rules.matchesTags(rule, { region: 'eu-west-1' }));
+      assert.ok(rules.matchesTags({}, {}));
+    });
+  });
+
+  describe('templates', function() {
+    it('accepts tags, defaults and filters', function() {
+      const rule = Object.assign({}, validRule, {
+        entityName: '{app|lowercase}:{tag.region|default(unknown)}',
+        eventType: '{service|truncate(20)}Sample',
+        dynamicEventType: true,
+        labels: { role: '{tag.role|default(cache)|uppercase}' }
+      });
+      assert.deepEqual(messages(rules.validate([rule])), []);
+    });
+
+    it('reports invalid templates and variable event types without dynamicEventType', function() {
+      const rule = Object.assign({}, validRule, {
+        entityName: '{app|camelcase(x)}',
+        entityType: '{app|truncate(-1)}',
+        eventType: '{host}Sample',
+        dynamicEventType: 'yes',
+        labels: { region: '{region|default(unknown)}' }
+      });
+      assert.deepEqual(messages(rules.validate([rule])), [
+        'rules[0].dynamicEventType must be true or false',
+        'rules[0].eventType can\'t use variable substitutions: {host}Sample',
+        'rules[0].entityType is not a valid template: truncate needs a positive length: truncate(-1)',
+        'rules[0].entityName is not a valid template: unknown filter camelcase. Supported filters: lowercase, uppercase, replace, truncate, default',
+        'rules[0].labels.region uses {region}, which is not a field of metricSchema'
+      ]);
+      const dynamic = Object.assign({}, validRule, { eventType: '{host}Sample', dynamicEventType: true });
+      assert.deepEqual(messages(rules.validate([dynamic])), [
+        'rules[0].eventType uses {host}, which is not a field of metricSchema'
+      ]);
+    });
+  });
+
+  describe('tag limits', function() {
+    it('validates the tag options', function() {
+      const rule = Object.assign({}, validRule, {
+        entityName: '{host}',
+        tags: { allow: ['env'], deny: 'request_id', promote: ['host'], maxSeries: 0, maxValues: { request_id: 1.5 }, overflow: 'keep' }
+      });
+      assert.deepEqual(messages(rules.validate([rule])), [
+        'rules[0].tags.deny must be a list of tag keys',
+        'rules[0].tags.deny can\'t be used together with allow',
+        'rules[0].tags.maxSeries must be a positive integer',
+        'rules[0].tags.maxValues.request_id must be a positive integer',
+        'rules[0].tags.overflow must be one of other, drop'
+      ]);
+      const unknown = Object.assign({}, validRule, { entityName: '{region}', tags: { promote: ['host'] } });
+      assert.deepEqual(messages(rules.validate([unknown])), [
+        'rules[0].entityName uses {region}, which is not a field of metricSchema or a promoted tag'
+      ]);
+    });
+  });
+
+  describe('events and inventory', function() {
+    it('validates the events and inventory items', function() {
+      const rule = Object.assign({}, validRule, {
+        events: [
+          { attribute: 'lag', above: 30, summary: 'Lag above 30s' },
+          { attribute: 'lag', above: '30', below: 1 },
+          { changed: 'yes', category: '' },
+          'version'
+        ],
+        inventory: { version: 'version.count', role: 3 }
+      });
+      assert.deepEqual(messages(rules.validate([rule])), [
+        'rules[0].events[1] must have one of above, below or changed',
+        'rules[0].events[1].above must be a number',
+        'rules[0].events[2].attribute is required',
+        'rules[0].events[2].changed must be true',
+        'rules[0].events[2].category must be a non empty string',
+        'rules[0].events[3] must be an object',
+        'rules[0].inventory.role must be the name of an attribute'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const Logger = require('../lib/logger.js');
+const Sanitizer = require('../lib/sanitizer.js');
+
+describe('Sanitizer', function() {
+  let messages;
+  let sanitizer;
+  beforeEach(function() {
+    messages = [];
+    sanitizer = new Sanitizer(new Logger({ log: function(message) { messages.push(message); } }, 'info'));
+  });
+
+  const entry = function(eventType, metrics, dimensions) {
+    const data = { entity: { name: 'myapp', type: 'Service' }, metrics: {}, dimensions: {}, types: {}, rules: {} };
+    data.metrics[eventType] = metrics;
+    data.dimensions[eventType] = dimensions || {};
+    data.types[eventType] = {};
+    Object.keys(metrics).forEach(function(name) {
+      if (!data.dimensions[eventType][name]) {
+        data.types[eventType][name] = { metricType: 'gauges', suffix: '', metric: name };
+      }
+    });
+    data.rules[eventType] = [];
+    return data;
+  };
+
+  it('leaves valid samples untouched', function() {
+    const data = { 'Service:myapp': entry('MyappSample', { app: 'myapp', hits: 3, 'latency.upper_90': 1.5 }, { app: true }) };
+    const expected = JSON.parse(JSON.stringify(data));
+    assert.deepEqual(sanitizer.sanitize(data), { sanitizedNames: 0, truncatedNames: 0, truncatedValues: 0, droppedValues: 0 });
+    assert.deepEqual(data, expected);
+    assert.deepEqual(messages, []);
+  });
+
+  it('renames reserved and invalid names and drops values that are not finite numbers', function() {
+    const data = {
+      'Service:myapp': entry('my-app Sample', {
+        app: 'myapp',
+        timestamp: 1,
+        timestamp_: 2,
+        'bad\nname': 3,
+        load: NaN,
+        hitsPerSecond: undefined,
+        errors: Infinity
+      }, { app: true })
+    };
+    assert.deepEqual(sanitizer.sanitize(data), { sanitizedNames: 3, truncatedNames: 0, truncatedValues: 0, droppedValues: 3 });
+    assert.deepEqual(Object.keys(data['Service:myapp'].metrics), ['my_app_Sample']);
+    assert.deepEqual(data['Service:myapp'].metrics.my_app_Sample, { app: 'myapp', timestamp_: 2, timestamp__: 1, bad_name: 3 });
+    assert.deepEqual(Object.keys(data['Service:myapp'].types.my_app_Sample).sort(), ['bad_name', 'timestamp_', 'timestamp__']);
+    assert.deepEqual(data['Service:myapp'].dimensions.my_app_Sample, { app: true });
+    assert.deepEqual(data['Service:myapp'].rules.my_app_Sample, []);
+    assert.equal(messages.length, 6);
+    assert.equal(messages[0], 'Event type my-app Sample renamed to my_app_Sample because it has invalid characters.');
+  });
+
+  it('truncates long names and values', function() {
+    const longName = new Array(300).join('x');
+    const metrics = { app: new Array(5000).join('a'), hits: 1 };
+    metrics[longName] = 2;
+    const data = { 'Service:myapp': entry('MyappSample', metrics, { app: true }) };
+    assert.deepEqual(sanitizer.sanitize(data), { sanitizedNames: 0, truncatedNames: 1, truncatedValues: 1, droppedValues: 0 });
+    const sample = data['Service:myapp'].metrics.MyappSample;
+    assert.equal(sample.app.length, 4096);
+    assert.equal(sample[longName.slice(0, 255)], 2);
+  });
+
+  it('logs every fix once', function() {
+    sanitizer.sanitize({ 'Service:myapp': entry('MyappSample', { load: NaN }) });
+    sanitizer.sanitize({ 'Service:myapp': entry('MyappSample', { load: NaN }) });
+    assert.deepEqual(messages, [
+      'Dropping the value NaN of attribute load of MyappSample because it is not a finite number.',
+      'Dropping the samples of MyappSample left without metric values.'
+    ]);
+  });
+
+  it('drops the samples and entities left without metric values', function() {
+    const data = { 'Service:myapp': entry('ESSample', { app: 'myapp', load: NaN }, { app: true }) };
+    data['Service:myapp'].metrics.MyappSample = { app: 'myapp', hits: 3 };
+    data['Service:myapp'].dimensions.MyappSample = { app: true };
+    data['Service:myapp'].types.MyappSample = { hits: { metricType: 'counters', suffix: '', metric: 'hits' } };
+    data['Service:myapp'].rules.MyappSample = [];
+    data['Service:other'] = entry('ESSample', { app: 'other', load: undefined }, { app: true });
+    assert.deepEqual(sanitizer.sanitize(data), { sanitizedNames: 0, truncatedNames: 0, truncatedValues: 0, droppedValues: 2 });
+    assert.deepEqual(Object.keys(data), ['Service:myapp']);
+    ['metrics', 'dimensions', 'types', 'rules'].forEach(function(field) {
+      assert.deepEqual(Object.keys(data['Service:myapp'][field]), ['MyappSample']);
+    });
+    assert.deepEqual(data['Service:myapp'].metrics.MyappSample, { app: 'myapp', hits: 3 });
+  });
+});
@@ -0,0 +1,48 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const tags = require('../lib/tags.js');
+
+describe('Tag parsers', function() {
+  const examples = {
+    dogstatsd: 'myapp.redis.hits#env:prod,url:http://host,canary',
+    influxdb: 'myapp.redis.hits,env=prod,url=http://host,canary',
+    graphite: 'myapp.redis.hits;env=prod;url=http://host;canary',
+    signalfx: 'myapp.redis.hits[env=prod,url=http://host,canary]'
+  };
+  const expected = {
+    name: 'myapp.redis.hits',
+    tags: { env: 'prod', url: 'http://host', canary: 'true' }
+  };
+
+  Object.keys(examples).forEach(function(format) {
+    it('parses ' + format + ' tags', function() {
+      assert.deepEqual(tags.parser(format)(examples[format]), expected);
+    });
+
+    it('detects ' + format + ' tags in auto mode', function() {
+      assert.deepEqual(tags.parser('auto')(examples[format]), expected);
+    });
+  });
+
+  it('parses signalfx dimensions in the middle of the name', function() {
+    assert.deepEqual(tags.parser('signalfx')('myapp.[env=prod]redis.hits'), {
+      name: 'myapp.redis.hits',
+      tags: { env: 'prod' }
+    });
+  });
+
+  it('keeps the name of metrics without tags', function() {
+    tags.formats.forEach(function(format) {
+      assert.deepEqual(tags.parser(format)('myapp.redis.hits'), { name: 'myapp.redis.hits', tags: {} });
+    });
+  });
+
+  it('ignores empty tags and tags without key', function() {
+    assert.deepEqual(tags.parser('dogstatsd')('hits#,:v,env:prod'), { name: 'hits', tags: { env: 'prod' } });
+  });
+
+  it('returns null for unknown formats', function() {
+    assert.equal(tags.parser('statsite'), null);
+  });
+});
@@ -0,0 +1,52 @@
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const templates = require('../lib/templates.js');
+
+describe('Templates', function() {
+  const fields = { app: 'My_App', service: 'redis', empty: '' };
+  const tags = { region: 'eu-west-1', 'k8s.pod': 'web-1' };
+
+  it('replaces fields and tags', function() {
+    assert.equal(templates.render('{app}:{service} in {tag.region}', fields, tags), 'My_App:redis in eu-west-1');
+    assert.equal(templates.render('{tag.k8s.pod}', fields, tags), 'web-1');
+    assert.equal(templates.render('no placeholders', fields, tags), 'no placeholders');
+  });
+
+  it('uses the default value of missing or empty values', function() {
+    assert.equal(templates.render('{env|default(production)}', fields, tags), 'production');
+    assert.equal(templates.render('{empty|default(none)}', fields, tags), 'none');
+    assert.equal(templates.render('{tag.zone|default(unknown)}', fields, tags), 'unknown');
+    assert.equal(templates.render('{service|default(unknown)}', fields, tags), 'redis');
+    assert.equal(templates.render('[{env}]', fields, tags), '[]');
+  });
+
+  it('applies the filters in order', function() {
+    assert.equal(templates.render('{app|lowercase}', fields, tags), 'my_app');
+    assert.equal(templates.render('{app|uppercase|replace(_,-)}', fields, tags), 'MY-APP');
+    assert.equal(templates.render('{tag.region|truncate(2)}', fields, tags), 'eu');
+    assert.equal(templates.render('{env|default(production)|uppercase}', fields, tags), 'PRODUCTION');
+    assert.equal(templates.render('{env|uppercase|default(production)}', fields, tags), 'production');
+  });
+
+  it('lists the fields of a template and rejects invalid placeholders', function() {
+    assert.deepEqual(templates.fields('{app|lowercase}:{tag.region|default(unknown)}'), ['app', 'tag.region']);
+    assert.ok(templates.isTag('tag.region'));
+    assert.ok(!templates.isTag('app'));
+    assert.throws(function() {
+      templates.fields('{app|camelcase(x)}');
+    }, /unknown filter camelcase. Supported filters: lowercase, uppercase, replace, truncate, default/);
+    assert.throws(function() {
+      templates.fields('{env|lowercse}');
+    }, /unknown filter lowercse/);
+    assert.throws(function() {
+      templates.fields('{app|truncate(0)}');
+    }, /truncate needs a positive length/);
+    assert.throws(function() {
+      templates.fields('{app|replace(_)}');
+    }, /replace needs the text to replace and its replacement/);
+    assert.throws(function() {
+      templates.fields('{|default(production)}');
+    }, /contains an empty placeholder/);
+  });
+});
@@ -5,6 +5,9 @@ const events = require('events');
 const nri = require('../lib/newrelic-infra.js');
 const util = require('util');
 const nock = require('nock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('New Relic Infrastructure StatsD Backend', function() {
   before(function() {
@@ -193,4 +196,2145 @@ describe('New Relic Infrastructure StatsD Backend', function() {
       assert.equal(httpserver.isDone(), true);
     });
   });
+
+  describe('nriInitBackend with protocol v2', function() {
+    const timestamp = 12345;
+    const v2Config = function(newrelic) {
+      return Object.assign({}, defaultConfig, {
+        newrelic: Object.assign({ port: 9070, protocolVersion: 2 }, newrelic)
+      });
+    };
+    const redisRule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis Cluster',
+      entityName: 'Production Host1',
+      eventType: 'RedisSample'
+    };
+    const redisEntity = {
+      entityName: 'Redis Cluster:Production Host1',
+      displayName: 'Production Host1'
+    };
+
+    it('no matching rules', function() {
+      const emitter = new events.EventEmitter();
+      const config = v2Config({ rules: [redisRule] });
+      const metrics = {
+        gauges: { my_gauge: 1 },
+        counters: { my_counter: 10},
+        counter_rates: { my_counter: 1}
+      };
+      const httpserver = nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204);
+
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+      assert.equal(httpserver.isDone(), false);
+      nock.cleanAll();
+    });
+
+    it('valid matching rules', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = v2Config({ rules: [redisRule] });
+      const metrics = {
+        gauges: { 'myapp.redis.my_gauge': 1 },
+        counters: { 'myapp.redis.my_counter': 10},
+        counter_rates: { 'myapp.redis.my_counter': 1},
+        timer_data: {
+          'myapp.redis.my_timer': {
+            sum: 10,
+            mean: 10
+          }
+        }
+      };
+      const expected = {
+        name: 'com.newrelic.statsd',
+        integration_version: '0.1.0',
+        protocol_version: '2',
+        data: [{
+          entity: { name: 'Production Host1', type: 'Redis Cluster' },
+          metrics: [Object.assign({event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_gauge': 1, 'my_counter': 10, 'my_counterPerSecond': 1, 'my_timer.sum': 10, 'my_timer.mean': 10}, redisEntity)],
+          events: [],
+          inventory: {}
+        }]
+      };
+
+      const httpserver = nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody, expected);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+      assert.equal(httpserver.isDone(), true);
+    });
+
+    it('one entity per rule', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = v2Config({ rules: [redisRule, {
+        matchExpression: '.*nginx.*',
+        metricSchema: '{app}.{service}.{metricName}',
+        entityType: 'Nginx',
+        entityName: '{app}',
+        eventType: 'NginxSample'
+      }]});
+      const metrics = {
+        gauges: { 'myapp.redis.my_gauge': 1, 'myapp.nginx.requests': 3 }
+      };
+
+      const httpserver = nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.equal(requestBody.protocol_version, '2');
+          assert.deepEqual(requestBody.data.map(function(d) { return d.entity; }), [
+            { name: 'Production Host1', type: 'Redis Cluster' },
+            { name: 'myapp', type: 'Nginx' }
+          ]);
+          assert.deepEqual(requestBody.data[1].metrics, [
+            {event_type: 'NginxSample', app: 'myapp', service: 'nginx', requests: 3, entityName: 'Nginx:myapp', displayName: 'myapp'}
+          ]);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+      assert.equal(httpserver.isDone(), true);
+    });
+
+    it('matching rules with invalid metricSchema', function() {
+      const emitter = new events.EventEmitter();
+      const config = v2Config({ rules: [redisRule] });
+      const metrics = {
+        gauges: { 'redis.my_gauge': 1 }
+      };
+      const httpserver = nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204);
+
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+      assert.equal(httpserver.isDone(), false);
+      nock.cleanAll();
+    });
+
+    it('limit of keys exceeded', function(done) {
+      const emitter = new events.EventEmitter();
+      const metricsLimit = 2;
+      const config = v2Config({ rules: [redisRule], metricsLimit: metricsLimit });
+      const metrics = {
+        gauges: { 'myapp.redis.my_gauge': 1 },
+        counters: { 'myapp.redis.my_counter': 10},
+        counter_rates: { 'myapp.redis.my_counter': 1},
+        timer_data: {
+          'myapp.redis.my_timer': {
+            sum: 10,
+            mean: 10
+          }
+        }
+      };
+      const expected = [{
+        entity: { name: 'Production Host1', type: 'Redis Cluster' },
+        metrics: [Object.assign({event_type: 'StatsdLimitErrorSample', numberOfMetrics: 7, configuredLimit: metricsLimit}, redisEntity)],
+        events: [],
+        inventory: {}
+      }];
+      const httpserver = nock('http://localhost:9070')
+            .post('/v1/data')
+            .reply(204, function(uri, requestBody) {
+              assert.deepEqual(requestBody.data, expected);
+              done();
+            });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+      assert.equal(httpserver.isDone(), true);
+    });
+
+    it('limit of keys exceeded without limit errors', function() {
+      const emitter = new events.EventEmitter();
+      const config = v2Config({ rules: [redisRule], metricsLimit: 2, sendLimitErrors: false });
+      const metrics = {
+        gauges: { 'myapp.redis.my_gauge': 1, 'myapp.redis.other_gauge': 2 }
+      };
+      const httpserver = nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204);
+
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+      assert.equal(httpserver.isDone(), false);
+      nock.cleanAll();
+    });
+
+    it('valid matching rules with tags in metric', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = v2Config({ rules: [redisRule], metricsLimit: 150 });
+      const metrics = {
+        gauges: { 'myapp.redis.my_gauge': 1 },
+        counters: { 'myapp.redis.my_counter#t1:v1': 5, 'myapp.redis.my_counter': 10,},
+        counter_rates: { 'myapp.redis.my_counter': 1},
+        timer_data: {
+          'myapp.redis.my_timer': {
+            sum: 10,
+            mean: 10
+          }
+        }
+      };
+      const expected = [{
+        entity: { name: 'Production Host1', type: 'Redis Cluster' },
+        metrics: [
+          Object.assign({event_type: 'RedisSample', app: 'myapp', service: 'redis', "label.t1": "v1", 'my_counter': 5}, redisEntity),
+          Object.assign({event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_gauge': 1, 'my_counter': 10, 'my_counterPerSecond': 1, 'my_timer.sum': 10, 'my_timer.mean': 10}, redisEntity)
+        ],
+        events: [],
+        inventory: {}
+      }];
+
+      const httpserver = nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.data, expected);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+      assert.equal(httpserver.isDone(), true);
+    });
+  });
+
+  describe('nriInitBackend with retry queue', function() {
+    it('sends again payloads when the agent is unavailable', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9070,
+          retry: { initialBackoffSeconds: 0.01 },
+          rules: [{
+            matchExpression: '.*redis.*',
+            metricSchema: '{app}.{service}.{metricName}',
+            entityType: 'Redis Cluster',
+            entityName: 'Production Host1',
+            eventType: 'RedisSample'
+          }]
+        }
+      });
+      const metrics = {
+        gauges: { 'myapp.redis.my_gauge': 1 }
+      };
+      const expected = [{event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_gauge': 1}];
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .replyWithError('connect ECONNREFUSED')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, expected);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, metrics);
+    });
+
+    it('reports invalid retry settings', function() {
+      const messages = [];
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { strict: true, rules: [], retry: { maxPayloads: -1, maxBytes: '0', initialBackoffSeconds: 'soon', dropPolicy: 'random' } }
+      });
+      assert.equal(nri.init(null, config, new events.EventEmitter(), { log: function(msg) { messages.push(msg); } }), false);
+      assert.deepEqual(messages, [
+        'Invalid configuration for backend \'newrelic\': retry.maxPayloads must be a positive number',
+        'Invalid configuration for backend \'newrelic\': retry.maxBytes must be a positive number',
+        'Invalid configuration for backend \'newrelic\': retry.initialBackoffSeconds must be a positive number',
+        'Invalid configuration for backend \'newrelic\': retry.dropPolicy must be oldest or newest'
+      ]);
+    });
+  });
+
+  describe('nriInitBackend with oversized samples', function() {
+    const timestamp = 12345;
+    const redisRule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis Cluster',
+      entityName: 'Production Host1',
+      eventType: 'RedisSample',
+      labels: { role: 'cache' }
+    };
+    const metrics = {
+      gauges: { 'myapp.redis.g1': 1, 'myapp.redis.g2': 2, 'myapp.redis.g3': 3, 'myapp.redis.g4': 4, 'myapp.redis.g5': 5 }
+    };
+    const common = {event_type: 'RedisSample', app: 'myapp', service: 'redis', 'label.role': 'cache', numberOfParts: 3};
+
+    it('splits metric sets over the limit in several samples', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [redisRule], metricsLimit: 7, overflowMode: 'split' }
+      });
+      const expected = [
+        Object.assign({part: 1, g1: 1, g2: 2}, common),
+        Object.assign({part: 2, g3: 3, g4: 4}, common),
+        Object.assign({part: 3, g5: 5}, common)
+      ];
+
+      const httpserver = nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, expected);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+      assert.equal(httpserver.isDone(), true);
+    });
+
+    it('splits metric sets over the limit with protocol v2', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [redisRule], metricsLimit: 7, overflowMode: 'split', protocolVersion: 2 }
+      });
+      const entity = {entityName: 'Redis Cluster:Production Host1', displayName: 'Production Host1'};
+      const expected = [
+        Object.assign({part: 1, g1: 1, g2: 2}, common, entity),
+        Object.assign({part: 2, g3: 3, g4: 4}, common, entity),
+        Object.assign({part: 3, g5: 5}, common, entity)
+      ];
+
+      const httpserver = nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.data[0].metrics, expected);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+      assert.equal(httpserver.isDone(), true);
+    });
+
+    it('reports a limit error when the labels alone exceed the limit', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [redisRule], metricsLimit: 4, overflowMode: 'split' }
+      });
+
+      const httpserver = nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, [{event_type: 'StatsdLimitErrorSample', numberOfMetrics: 8, configuredLimit: 4}]);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+      assert.equal(httpserver.isDone(), true);
+    });
+
+    it('splits payloads bigger than maxPayloadBytes in several requests', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [redisRule], metricsLimit: 7, overflowMode: 'split', maxPayloadBytes: 300 }
+      });
+      const received = [];
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .times(2)
+        .reply(204, function(uri, requestBody) {
+          assert.ok(Buffer.byteLength(JSON.stringify(requestBody)) <= 300);
+          Array.prototype.push.apply(received, requestBody.metrics);
+          if (received.length === 3) {
+            assert.deepEqual(received.map(function(m) { return m.part; }), [1, 2, 3]);
+            done();
+          }
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', timestamp, metrics);
+    });
+  });
+
+  describe('nriInitBackend with tag formats', function() {
+    it('strips tags from every metric type before matching rules', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9070,
+          tagFormat: 'influxdb',
+          rules: [{
+            matchExpression: 'redis\\.my_[a-zA-Z]+(\\.[a-z]+)?$',
+            metricSchema: '{app}.{service}.{metricName}',
+            entityType: 'Redis Cluster',
+            entityName: 'Production Host1',
+            eventType: 'RedisSample'
+          }]
+        }
+      });
+      const metrics = {
+        gauges: { 'myapp.redis.my_gauge,env=prod': 1 },
+        counters: { 'myapp.redis.my_counter,env=prod': 10 },
+        counter_rates: { 'myapp.redis.my_counter,env=prod': 1 },
+        timer_data: { 'myapp.redis.my_timer,env=prod': { sum: 10 } },
+        sets: { 'myapp.redis.my_set,env=prod': { size: function() { return 3; } } }
+      };
+      const expected = [{event_type: 'RedisSample', app: 'myapp', service: 'redis', 'label.env': 'prod', 'my_gauge': 1, 'my_counter': 10, 'my_counterPerSecond': 1, 'my_timer.sum': 10, 'my_set.count': 3}];
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, expected);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, metrics);
+    });
+  });
+
+  describe('nriInitBackend with invalid rules', function() {
+    const logger = { log: function() {} };
+    const validRule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis Cluster',
+      entityName: 'Production Host1',
+      eventType: 'RedisSample'
+    };
+    const invalidRule = {
+      matchExpression: '.*(redis',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis Cluster',
+      eventType: 'OtherSample'
+    };
+
+    it('does not start in strict mode', function() {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, strict: true, rules: [validRule, invalidRule] }
+      });
+
+      assert.equal(nri.init(null, config, emitter, logger), false);
+      assert.equal(emitter.listenerCount('flush'), 0);
+    });
+
+    it('disables only the invalid rules', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [invalidRule, validRule] }
+      });
+      const metrics = {
+        gauges: { 'myapp.redis.my_gauge': 1 }
+      };
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, [{event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_gauge': 1}]);
+          done();
+        });
+      assert.equal(nri.init(null, config, emitter, logger), true);
+      emitter.emit('flush', 12345, metrics);
+    });
+
+    it('reports the valid rules by their position in the configuration', function() {
+      const emitter = new events.EventEmitter();
+      const mysqlRule = Object.assign({}, validRule, { matchExpression: '^myapp\\.mysql', eventType: 'MysqlSample' });
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [validRule, invalidRule, mysqlRule], diagnostics: true }
+      });
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204);
+
+      assert.equal(nri.init(null, config, emitter, logger), true);
+      emitter.emit('flush', 12345, { gauges: { 'myapp.mysql.queries': 1, 'myapp.mysql': 2 } });
+      const stats = {};
+      emitter.emit('status', function(err, backend, stat, value) {
+        stats[stat] = value;
+      });
+      assert.equal(stats.rule_0_matched_keys, 0);
+      assert.equal(stats.rule_1_matched_keys, undefined);
+      assert.equal(stats.rule_2_matched_keys, 2);
+      assert.equal(JSON.parse(stats.diagnostics_schema_rejected_keys)[0].rule, 2);
+    });
+  });
+
+  describe('nriInitBackend with invalid options', function() {
+    it('does not start in strict mode with unsupported values', function() {
+      const messages = [];
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { strict: true, rules: [], protocolVersion: 3, tagFormat: 'statsite', matchMode: 'any', overflowMode: 'spilt' }
+      });
+      assert.equal(nri.init(null, config, new events.EventEmitter(), { log: function(msg) { messages.push(msg); } }), false);
+      assert.deepEqual(messages, [
+        'Invalid configuration for backend \'newrelic\': overflowMode must be drop or split',
+        'Invalid configuration for backend \'newrelic\': matchMode must be all or first',
+        'Invalid configuration for backend \'newrelic\': protocolVersion must be 1 or 2',
+        'Invalid configuration for backend \'newrelic\': tagFormat must be one of dogstatsd, influxdb, graphite, signalfx, auto'
+      ]);
+    });
+  });
+
+  describe('nriInitBackend with rules file', function() {
+    const logger = { log: function() {} };
+    const rule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis Cluster',
+      entityName: 'Production Host1',
+      eventType: 'RedisSample'
+    };
+    let dir;
+    let rulesFile;
+
+    const status = function(emitter) {
+      const stats = {};
+      emitter.emit('status', function(err, backend, stat, value) {
+        stats[stat] = value;
+      });
+      return stats;
+    };
+    // Replaces the file at once, so the watcher never sees it half written.
+    const writeRules = function(content) {
+      fs.writeFileSync(rulesFile + '.tmp', content);
+      fs.renameSync(rulesFile + '.tmp', rulesFile);
+    };
+    const waitFor = function(condition, callback) {
+      if (condition()) {
+        return callback();
+      }
+      setTimeout(function() { waitFor(condition, callback); }, 10);
+    };
+
+    beforeEach(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nri-rules-'));
+      rulesFile = path.join(dir, 'rules.json');
+      fs.writeFileSync(rulesFile, JSON.stringify([rule]));
+    });
+
+    afterEach(function() {
+      nri.init(null, defaultConfig, new events.EventEmitter(), logger);
+      fs.readdirSync(dir).forEach(function(file) { fs.unlinkSync(path.join(dir, file)); });
+      fs.rmdirSync(dir);
+    });
+
+    it('reloads the rules when the file changes', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rulesFile: rulesFile, rulesFileIntervalSeconds: 0.01 }
+      });
+      nri.init(null, config, emitter, logger);
+      assert.equal(status(emitter).rules_version, 1);
+
+      writeRules(JSON.stringify({ rules: [Object.assign({}, rule, { eventType: 'CacheSample' })] }));
+      waitFor(function() { return status(emitter).rules_version === 2; }, function() {
+        assert.equal(status(emitter).rules_reloads, 1);
+        nock('http://localhost:9070')
+          .post('/v1/data')
+          .reply(204, function(uri, requestBody) {
+            assert.deepEqual(requestBody.metrics, [{event_type: 'CacheSample', app: 'myapp', service: 'redis', 'my_gauge': 1}]);
+            done();
+          });
+        emitter.emit('flush', 12345, { gauges: { 'myapp.redis.my_gauge': 1 } });
+      });
+    });
+
+    it('keeps the previous rules when the file is invalid', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rulesFile: rulesFile, rulesFileIntervalSeconds: 0.01 }
+      });
+      nri.init(null, config, emitter, logger);
+
+      writeRules(JSON.stringify([Object.assign({}, rule, { matchExpression: '(' })]));
+      waitFor(function() { return status(emitter).rules_reload_failures === 1; }, function() {
+        writeRules('[{');
+        waitFor(function() { return status(emitter).rules_reload_failures === 2; }, function() {
+          assert.equal(status(emitter).rules_version, 1);
+          nock('http://localhost:9070')
+            .post('/v1/data')
+            .reply(204, function(uri, requestBody) {
+              assert.deepEqual(requestBody.metrics, [{event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_gauge': 1}]);
+              done();
+            });
+          emitter.emit('flush', 12345, { gauges: { 'myapp.redis.my_gauge': 1 } });
+        });
+      });
+    });
+
+    it('loads the rules from a JS module', function(done) {
+      const moduleFile = path.join(dir, 'rules.js');
+      fs.writeFileSync(moduleFile, 'module.exports = ' + JSON.stringify([rule]) + ';');
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rulesFile: moduleFile }
+      });
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, [{event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_gauge': 1}]);
+          done();
+        });
+      nri.init(null, config, emitter, logger);
+      emitter.emit('flush', 12345, { gauges: { 'myapp.redis.my_gauge': 1 } });
+    });
+
+    it('does not start in strict mode when the file can not be loaded', function() {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, strict: true, rulesFile: path.join(dir, 'missing.json') }
+      });
+      assert.equal(nri.init(null, config, emitter, logger), false);
+    });
+  });
+
+  describe('nriInitBackend with matchPattern rules', function() {
+    it('uses the named groups as schema fields', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9070,
+          rules: [{
+            matchPattern: '^(?<app>[^.]+)\\.hosts\\.(?<host>.+)\\.redis\\.(?<metricName>[^.]+)$',
+            entityType: 'Redis',
+            entityName: '{host}',
+            eventType: 'RedisSample',
+            labels: { app: '{app}' }
+          }]
+        }
+      });
+      const metrics = {
+        gauges: { 'myapp.hosts.10.0.0.1.redis.my_gauge': 1 },
+        counters: { 'myapp.hosts.10.0.0.1.redis.my_counter': 10 },
+        counter_rates: { 'myapp.hosts.10.0.0.1.redis.my_counter': 1 },
+        timer_data: { 'myapp.hosts.10.0.0.1.redis.my_timer': { sum: 10 } },
+        sets: { 'myapp.hosts.10.0.0.1.redis.my_set': { size: function() { return 3; } } }
+      };
+      const expected = [{event_type: 'RedisSample', app: 'myapp', host: '10.0.0.1', 'label.app': 'myapp', 'my_gauge': 1, 'my_counter': 10, 'my_counterPerSecond': 1, 'my_timer.sum': 10, 'my_set.count': 3}];
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, expected);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, metrics);
+    });
+  });
+
+  describe('nriInitBackend with rule precedence', function() {
+    const logger = { log: function() {} };
+    const redisRule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis Cluster',
+      entityName: 'Production Host1',
+      eventType: 'RedisSample'
+    };
+    const appRule = {
+      matchExpression: '^myapp\\.',
+      metricSchema: '{app}.{metricName}',
+      entityType: 'Application',
+      entityName: '{app}',
+      eventType: 'AppSample'
+    };
+    const metrics = {
+      gauges: { 'myapp.redis.my_gauge': 1, 'myapp.web.requests': 5, 'other.web.requests': 7 }
+    };
+
+    const flush = function(newrelic, callback) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, { newrelic: Object.assign({ port: 9070 }, newrelic) });
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          callback(requestBody.metrics);
+        });
+      nri.init(null, config, emitter, logger);
+      emitter.emit('flush', 12345, metrics);
+    };
+
+    it('evaluates every rule in all match mode', function(done) {
+      flush({ rules: [redisRule, appRule] }, function(samples) {
+        assert.deepEqual(samples, [
+          {event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_gauge': 1},
+          {event_type: 'AppSample', app: 'myapp', 'redis.my_gauge': 1, 'web.requests': 5}
+        ]);
+        done();
+      });
+    });
+
+    it('stops at the first matching rule in first match mode', function(done) {
+      flush({ rules: [redisRule, appRule], matchMode: 'first' }, function(samples) {
+        assert.deepEqual(samples, [
+          {event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_gauge': 1},
+          {event_type: 'AppSample', app: 'myapp', 'web.requests': 5}
+        ]);
+        done();
+      });
+    });
+
+    it('skips keys matching the exclude expression', function(done) {
+      const rule = Object.assign({}, appRule, { excludeExpression: 'redis' });
+      flush({ rules: [rule] }, function(samples) {
+        assert.deepEqual(samples, [
+          {event_type: 'AppSample', app: 'myapp', 'web.requests': 5}
+        ]);
+        done();
+      });
+    });
+
+    it('sends the keys no rule matched with the default rule', function(done) {
+      const defaultRule = {
+        metricSchema: '{metricName}',
+        entityType: 'StatsD',
+        entityName: 'unmatched',
+        eventType: 'StatsdSample'
+      };
+      flush({ rules: [redisRule], defaultRule: defaultRule }, function(samples) {
+        assert.deepEqual(samples, [
+          {event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_gauge': 1},
+          {event_type: 'StatsdSample', 'myapp.web.requests': 5, 'other.web.requests': 7}
+        ]);
+        done();
+      });
+    });
+
+    it('does not start in strict mode with an invalid default rule', function() {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, strict: true, rules: [redisRule], defaultRule: { metricSchema: '{metricName}' } }
+      });
+      assert.equal(nri.init(null, config, emitter, logger), false);
+    });
+  });
+
+  describe('nriInitBackend with metric selection', function() {
+    const redisRule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis Cluster',
+      entityName: 'Production Host1',
+      eventType: 'RedisSample'
+    };
+    const metrics = {
+      gauges: { 'myapp.redis.my_gauge': 1 },
+      counters: { 'myapp.redis.my_counter': 10 },
+      counter_rates: { 'myapp.redis.my_counter': 1 },
+      timer_data: {
+        'myapp.redis.my_timer': { count: 4, upper: 20, upper_95: 19, mean: 10, mean_95: 9, std: 2 }
+      },
+      sets: { 'myapp.redis.my_set': { size: function() { return 3; } } }
+    };
+
+    const flush = function(rule, callback) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [Object.assign({}, redisRule, rule)] }
+      });
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          callback(requestBody.metrics);
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, metrics);
+    };
+
+    it('applies rules only to the selected metric types', function(done) {
+      flush({ metricTypes: ['gauges', 'sets'] }, function(samples) {
+        assert.deepEqual(samples, [{event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_gauge': 1, 'my_set.count': 3}]);
+        done();
+      });
+    });
+
+    it('selects counter values and timer statistics', function(done) {
+      flush({ metricTypes: ['counters', 'timers'], counterValues: 'rate', timerStats: ['upper*', 'count'] }, function(samples) {
+        assert.deepEqual(samples, [{event_type: 'RedisSample', app: 'myapp', service: 'redis', 'my_counterPerSecond': 1, 'my_timer.count': 4, 'my_timer.upper': 20, 'my_timer.upper_95': 19}]);
+        done();
+      });
+    });
+
+    it('excludes timer statistics and renames attributes', function(done) {
+      const rule = {
+        metricTypes: ['counters', 'timers'],
+        counterValues: 'count',
+        excludeTimerStats: ['*_95', 'std'],
+        rename: { upper: 'max', my_counter: 'requests' }
+      };
+      flush(rule, function(samples) {
+        assert.deepEqual(samples, [{event_type: 'RedisSample', app: 'myapp', service: 'redis', 'requests': 10, 'my_timer.count': 4, 'my_timer.max': 20, 'my_timer.mean': 10}]);
+        done();
+      });
+    });
+  });
+
+  describe('nriInitBackend with transforms and derived metrics', function() {
+    it('transforms values and derives attributes from the whole sample', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9070,
+          rules: [{
+            matchExpression: '.*redis.*',
+            metricSchema: '{app}.{service}.{metricName}',
+            entityType: 'Redis Cluster',
+            entityName: 'Production Host1',
+            eventType: 'RedisSample',
+            counterValues: 'count',
+            transforms: { 'latency.*': { divide: 1000 }, 'memory': { divide: 1048576, round: 1 } },
+            derived: { hitRatio: 'hits / (hits + misses)', evictionRatio: { expression: 'evictions / hits', default: 0 } }
+          }]
+        }
+      });
+      const metrics = {
+        gauges: { 'myapp.redis.memory': 3 * 1048576 + 123456 },
+        counters: { 'myapp.redis.hits': 30, 'myapp.redis.misses': 10 },
+        counter_rates: { 'myapp.redis.hits': 3, 'myapp.redis.misses': 1 },
+        timer_data: { 'myapp.redis.latency': { mean: 250 } }
+      };
+      const expected = [{event_type: 'RedisSample', app: 'myapp', service: 'redis', hits: 30, misses: 10, 'latency.mean': 0.25, memory: 3.1, hitRatio: 0.75, evictionRatio: 0}];
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, expected);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, metrics);
+    });
+  });
+
+  describe('nriInitBackend with events and inventory', function() {
+    const redisRule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis',
+      entityName: '{app}',
+      eventType: 'RedisSample',
+      labels: { env: 'prod' },
+      events: [
+        { attribute: 'replication_lag', above: 30, summary: 'Replication lag is {value}s', category: 'replication' },
+        { attribute: 'version.count', changed: true }
+      ],
+      inventory: { version: 'version.count' }
+    };
+    const set = function(values) {
+      return { size: function() { return values.length; }, values: function() { return values; } };
+    };
+
+    it('sends the events and inventory of the entities with protocol v2', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, protocolVersion: 2, rules: [redisRule] }
+      });
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.data[0].events, []);
+          assert.deepEqual(requestBody.data[0].inventory, { version: { value: '1.0' } });
+          setImmediate(function() {
+            emitter.emit('flush', 12355, {
+              gauges: { 'myapp.redis.replication_lag': 45 },
+              sets: { 'myapp.redis.version': set(['1.1']) }
+            });
+          });
+        })
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.data[0].metrics, [{
+            event_type: 'RedisSample',
+            app: 'myapp',
+            service: 'redis',
+            replication_lag: 45,
+            'label.env': 'prod',
+            entityName: 'Redis:myapp',
+            displayName: 'myapp'
+          }]);
+          assert.deepEqual(requestBody.data[0].events, [
+            { summary: 'Replication lag is 45s', category: 'replication', app: 'myapp', service: 'redis', 'label.env': 'prod' },
+            { summary: 'version.count changed from 1.0 to 1.1', category: 'notifications', app: 'myapp', service: 'redis', 'label.env': 'prod' }
+          ]);
+          assert.deepEqual(requestBody.data[0].inventory, { version: { value: '1.1' } });
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, {
+        gauges: { 'myapp.redis.replication_lag': 2 },
+        sets: { 'myapp.redis.version': set(['1.0']) }
+      });
+    });
+
+    it('prefixes the inventory items with their entity with protocol v1', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [redisRule] }
+      });
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, []);
+          assert.deepEqual(requestBody.events, []);
+          assert.deepEqual(requestBody.inventory, { 'Redis:myapp/version': { value: '1.0,2.0' } });
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, { sets: { 'myapp.redis.version': set(['2.0', '1.0']) } });
+    });
+  });
+
+  describe('nriInitBackend with templates', function() {
+    it('builds the event type, entity and labels from fields and tags', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9071,
+          protocolVersion: 2,
+          rules: [{
+            matchPattern: '^(?<service>[^.]+)\\.(?<metricName>[^.]+)$',
+            entityType: 'Service',
+            entityName: '{service|replace(_,-)}:{tag.region|default(unknown)}',
+            eventType: '{service|lowercase}StatsdSample',
+            dynamicEventType: true,
+            labels: { environment: '{tag.env|default(production)|uppercase}' }
+          }]
+        }
+      });
+      const metrics = {
+        gauges: {
+          'Billing_API.queue#region:eu': 3,
+          'checkout.queue#env:staging': 5
+        }
+      };
+
+      nock('http://localhost:9071')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          const samples = requestBody.data.map(function(entity) {
+            return { entity: entity.entity, metrics: entity.metrics };
+          });
+          assert.deepEqual(samples, [
+            {
+              entity: { name: 'Billing-API:eu', type: 'Service' },
+              metrics: [{ event_type: 'billing_apiStatsdSample', service: 'Billing_API', queue: 3, 'label.environment': 'PRODUCTION', 'label.region': 'eu', entityName: 'Service:Billing-API:eu', displayName: 'Billing-API:eu' }]
+            },
+            {
+              entity: { name: 'checkout:unknown', type: 'Service' },
+              metrics: [{ event_type: 'checkoutStatsdSample', service: 'checkout', queue: 5, 'label.environment': 'STAGING', 'label.env': 'staging', entityName: 'Service:checkout:unknown', displayName: 'checkout:unknown' }]
+            }
+          ]);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, metrics);
+    });
+
+    it('skips the keys whose entityName is empty', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9071,
+          rules: [{
+            matchExpression: '^myapp\\.',
+            metricSchema: '{app}.{metricName}',
+            entityType: 'Service',
+            entityName: '{tag.host}',
+            eventType: 'ServiceSample'
+          }]
+        }
+      });
+
+      nock('http://localhost:9071')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, [{ event_type: 'ServiceSample', app: 'myapp', load: 1, 'label.host': 'web1' }]);
+          done();
+        });
+      nri.init(null, config, emitter, { log: function() {} });
+      emitter.emit('flush', 12345, { gauges: { 'myapp.load#host:web1': 1, 'myapp.queue': 2 } });
+    });
+  });
+
+  describe('nriInitBackend with tag conditions', function() {
+    it('routes the keys by their tags and metric type', function(done) {
+      const emitter = new events.EventEmitter();
+      const rule = {
+        matchExpression: '^checkout\\.',
+        metricSchema: '{service}.{metricName}',
+        entityType: 'Service',
+        entityName: '{service}'
+      };
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9072,
+          protocolVersion: 2,
+          rules: [
+            Object.assign({}, rule, { eventType: 'PaymentsSample', matchTags: { team: 'payments', region: { matches: '^eu-' } }, metricTypes: ['gauges'] }),
+            Object.assign({}, rule, { eventType: 'CheckoutSample', matchTags: { team: { notEquals: 'payments' } } })
+          ],
+          matchMode: 'first'
+        }
+      });
+      const metrics = {
+        gauges: {
+          'checkout.queue#team:payments,region:eu-west-1': 1,
+          'checkout.load#team:web': 2,
+          'checkout.workers#team:payments,region:us-east-1': 3
+        },
+        counters: {
+          'checkout.orders#team:payments,region:eu-west-1': 4
+        },
+        counter_rates: {
+          'checkout.orders#team:payments,region:eu-west-1': 0.4
+        }
+      };
+
+      nock('http://localhost:9072')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.data.length, 1);
+          const samples = requestBody.data[0].metrics.map(function(metric) {
+            return metric.event_type + ' ' + Object.keys(metric).filter(function(name) {
+              return ['queue', 'load', 'workers', 'orders'].indexOf(name) >= 0;
+            }).join(',');
+          });
+          assert.deepEqual(samples, ['PaymentsSample queue', 'CheckoutSample load']);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, metrics);
+    });
+  });
+
+  describe('nriInitBackend with tag limits', function() {
+    it('collapses the series over the limits and promotes tags into the entity name', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9070,
+          protocolVersion: 2,
+          rules: [{
+            matchExpression: '.*redis.*',
+            metricSchema: '{app}.{service}.{metricName}',
+            entityType: 'Redis',
+            entityName: '{host}',
+            eventType: 'RedisSample',
+            counterValues: 'count',
+            tags: { promote: ['host'], deny: ['pid'], maxValues: { request_id: 1 } }
+          }]
+        }
+      });
+      const metrics = {
+        counters: {
+          'myapp.redis.hits#host:h1,request_id:a,pid:1': 1,
+          'myapp.redis.hits#host:h1,request_id:b,pid:2': 2,
+          'myapp.redis.hits#host:h1,request_id:c,pid:3': 3
+        }
+      };
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.data.length, 1);
+          assert.deepEqual(requestBody.data[0].entity, { name: 'h1', type: 'Redis' });
+          assert.deepEqual(requestBody.data[0].metrics, [
+            { event_type: 'RedisSample', host: 'h1', app: 'myapp', service: 'redis', hits: 1, 'label.request_id': 'a', entityName: 'Redis:h1', displayName: 'h1' },
+            { event_type: 'RedisSample', host: 'h1', app: 'myapp', service: 'redis', hits: 5, 'label.request_id': 'other', entityName: 'Redis:h1', displayName: 'h1' }
+          ]);
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, metrics);
+    });
+
+    it('counts the collapsed and dropped series', function() {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9070,
+          rules: [{
+            matchExpression: '.*redis.*',
+            metricSchema: '{app}.{service}.{metricName}',
+            entityType: 'Redis',
+            entityName: 'redis',
+            eventType: 'RedisSample',
+            tags: { maxSeries: 1, overflow: 'drop' }
+          }]
+        }
+      });
+      const stats = {};
+      nock('http://localhost:9070').post('/v1/data').reply(204);
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, { gauges: { 'myapp.redis.memory#host:h1': 1, 'myapp.redis.memory#host:h2': 2, 'myapp.redis.memory#host:h3': 3 } });
+      emitter.emit('status', function(err, backend, stat, value) {
+        stats[stat] = value;
+      });
+      assert.equal(stats.dropped_series, 2);
+      assert.equal(stats.collapsed_series, 0);
+      nock.cleanAll();
+    });
+  });
+
+  describe('nriInitBackend with global labels', function() {
+    const rule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis',
+      entityName: '{app}',
+      eventType: 'RedisSample',
+      labels: { role: 'cache' }
+    };
+    afterEach(function() {
+      delete process.env.NRI_TEST_REGION;
+    });
+
+    it('adds the global labels to every sample, below the labels of the rules and the tags', function(done) {
+      process.env.NRI_TEST_REGION = 'eu-west-1';
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        flushInterval: 5000,
+        newrelic: {
+          port: 9074,
+          metricsLimit: 9,
+          sendBackendSample: true,
+          globalLabels: {
+            region: '${env:NRI_TEST_REGION}',
+            host: '${hostname}',
+            interval: '${flushInterval}ms',
+            role: 'unknown',
+            env: 'production'
+          },
+          rules: [rule, Object.assign({}, rule, { matchExpression: '.*mysql.*', eventType: 'MysqlSample' })]
+        }
+      });
+      const metrics = {
+        gauges: {
+          'myapp.redis.memory#env:staging': 5,
+          'myapp.mysql.a': 1,
+          'myapp.mysql.b': 2,
+          'myapp.mysql.c': 3
+        }
+      };
+      const globals = { 'label.region': 'eu-west-1', 'label.host': os.hostname(), 'label.interval': '5000ms', 'label.role': 'unknown', 'label.env': 'production' };
+
+      nock('http://localhost:9074')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics[0], Object.assign({ event_type: 'RedisSample' }, globals, {
+            app: 'myapp', service: 'redis', memory: 5, 'label.role': 'cache', 'label.env': 'staging'
+          }));
+          assert.deepEqual(requestBody.metrics[1], Object.assign({ event_type: 'StatsdLimitErrorSample', numberOfMetrics: 10, configuredLimit: 9 }, globals));
+          assert.equal(requestBody.metrics[2].event_type, 'StatsdBackendSample');
+          assert.equal(requestBody.metrics[2]['label.region'], 'eu-west-1');
+          done();
+        });
+      nri.init(null, config, emitter, util);
+      emitter.emit('flush', 12345, metrics);
+    });
+
+    it('reports invalid global labels', function() {
+      const messages = [];
+      const logger = { log: function(message) { messages.push(message); } };
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { strict: true, rules: [rule], globalLabels: { team: 3, zone: '${zone}', region: '${env:NRI_TEST_REGION}' } }
+      });
+      assert.equal(nri.init(null, config, new events.EventEmitter(), logger), false);
+      assert.deepEqual(messages, [
+        'Environment variable NRI_TEST_REGION used by globalLabels.region is not set for backend \'newrelic\'.',
+        'Invalid configuration for backend \'newrelic\': globalLabels.team must be a string',
+        'Invalid configuration for backend \'newrelic\': globalLabels.zone uses unknown variable ${zone}. Supported variables: ${env:NAME}, ${hostname}, ${flushInterval}'
+      ]);
+    });
+  });
+
+  describe('nriInitBackend with invalid attributes', function() {
+    it('renames reserved attributes and drops values that are not finite numbers', function(done) {
+      const emitter = new events.EventEmitter();
+      const logger = { log: function() {} };
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9073,
+          rules: [{
+            matchExpression: '.*redis.*',
+            metricSchema: '{app}.{service}.{metricName}',
+            entityType: 'Redis',
+            entityName: '{app}',
+            eventType: 'RedisSample'
+          }]
+        }
+      });
+      const metrics = {
+        gauges: { 'myapp.redis.timestamp': 10, 'myapp.redis.load': NaN, 'myapp.redis.memory': 5 },
+        counters: { 'myapp.redis.hits': 2 }
+      };
+
+      nock('http://localhost:9073')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, [
+            { event_type: 'RedisSample', app: 'myapp', service: 'redis', timestamp_: 10, memory: 5, hits: 2 }
+          ]);
+          const stats = {};
+          emitter.emit('status', function(err, backend, stat, value) {
+            stats[stat] = value;
+          });
+          assert.equal(stats.sanitized_names, 1);
+          assert.equal(stats.dropped_values, 2);
+          done();
+        });
+      nri.init(null, config, emitter, logger);
+      emitter.emit('flush', 12345, metrics);
+    });
+  });
+
+  describe('nriInitBackend with several instances', function() {
+    const logger = { log: function() {} };
+    const rule = function(app) {
+      return {
+        matchExpression: '^' + app + '\\.',
+        metricSchema: '{app}.{metricName}',
+        entityType: 'Service',
+        entityName: '{app}',
+        eventType: 'ServiceSample'
+      };
+    };
+    const status = function(emitter) {
+      const stats = {};
+      emitter.emit('status', function(err, backend, stat, value) {
+        stats[stat] = value;
+      });
+      return stats;
+    };
+
+    it('keeps the configuration and stats of every instance apart', function(done) {
+      const webEmitter = new events.EventEmitter();
+      const apiEmitter = new events.EventEmitter();
+      const metrics = { gauges: { 'web.load': 1, 'api.load': 2 } };
+      let pending = 2;
+      const finish = function() {
+        if (--pending === 0) {
+          done();
+        }
+      };
+      nock('http://localhost:9075')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, [{ event_type: 'ServiceSample', app: 'web', load: 1 }]);
+          finish();
+        });
+      nock('http://localhost:9076')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, [{ event_type: 'StatsdLimitErrorSample', numberOfMetrics: 2, configuredLimit: 1 }]);
+          finish();
+        });
+
+      nri.init(null, { newrelic: { port: 9075, rules: [rule('web')] } }, webEmitter, logger);
+      nri.init(null, { newrelic: { port: 9076, rules: [rule('api')], metricsLimit: 1 } }, apiEmitter, logger);
+      webEmitter.emit('flush', 12345, metrics);
+      apiEmitter.emit('flush', 12345, metrics);
+
+      assert.equal(status(webEmitter).unmatched_keys, 1);
+      assert.equal(status(webEmitter).dropped_samples, 0);
+      assert.equal(status(apiEmitter).unmatched_keys, 1);
+      assert.equal(status(apiEmitter).dropped_samples, 1);
+    });
+  });
+
+  describe('nriInitBackend with a send interval', function() {
+    const logger = { log: function() {} };
+    const config = {
+      flushInterval: 2000,
+      newrelic: {
+        port: 9078,
+        sendInterval: 6000,
+        rules: [{
+          matchExpression: '^myapp\\.',
+          metricSchema: '{app}.{metricName}',
+          entityType: 'Service',
+          entityName: '{app}',
+          eventType: 'ServiceSample',
+          timerStats: ['lower', 'upper', 'count', 'mean']
+        }]
+      }
+    };
+    const flush = function(hits, load, latency) {
+      return {
+        counters: { 'myapp.hits': hits },
+        counter_rates: { 'myapp.hits': hits / 2 },
+        gauges: { 'myapp.load': load },
+        timer_data: { 'myapp.latency': latency }
+      };
+    };
+    let kill;
+    let exit;
+    beforeEach(function() {
+      kill = process.kill;
+      exit = process.exit;
+    });
+    afterEach(function() {
+      process.kill = kill;
+      process.exit = exit;
+    });
+
+    it('sends the metrics of several flushes rolled up', function(done) {
+      const emitter = new events.EventEmitter();
+      nock('http://localhost:9078')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, [{
+            event_type: 'ServiceSample',
+            app: 'myapp',
+            hits: 12,
+            hitsPerSecond: 2,
+            load: 7,
+            'latency.lower': 1,
+            'latency.upper': 40,
+            'latency.count': 4,
+            'latency.mean': 16
+          }]);
+          done();
+        });
+      nri.init(null, config, emitter, logger);
+      emitter.emit('flush', 100, flush(2, 5, { lower: 10, upper: 10, count: 1, mean: 10 }));
+      emitter.emit('flush', 102, flush(4, 3, { lower: 1, upper: 40, count: 3, mean: 18 }));
+      assert.equal(nock.isDone(), false);
+      emitter.emit('flush', 104, flush(6, 7, {}));
+    });
+
+    it('sends the metrics rolled up when StatsD is stopped', function(done) {
+      const emitter = new events.EventEmitter();
+      const signals = [];
+      process.kill = function(pid, signal) {
+        assert.equal(pid, process.pid);
+        signals.push(signal);
+      };
+      nock('http://localhost:9078')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.equal(requestBody.metrics[0].hits, 2);
+          assert.equal(requestBody.metrics[0].hitsPerSecond, 1);
+          assert.deepEqual(signals, []);
+          const waitForSignal = function() {
+            if (signals.length === 0) {
+              return setTimeout(waitForSignal, 5);
+            }
+            assert.deepEqual(signals, ['SIGTERM']);
+            done();
+          };
+          waitForSignal();
+        });
+      nri.init(null, config, emitter, logger);
+      emitter.emit('flush', 100, flush(2, 5, {}));
+      process.emit('SIGTERM');
+    });
+
+    it('sends the metrics rolled up before StatsD exits on SIGTERM', function(done) {
+      const emitter = new events.EventEmitter();
+      const exits = [];
+      process.kill = function() {
+        assert.fail('the signal should not be raised again');
+      };
+      process.exit = function(code) {
+        exits.push(code);
+      };
+      // As lib/process_mgmt.js of StatsD, registered before the backends.
+      const statsdHandler = function() {
+        process.exit(0);
+      };
+      process.on('SIGTERM', statsdHandler);
+      nock('http://localhost:9078')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.equal(requestBody.metrics[0].hits, 2);
+          assert.deepEqual(exits, []);
+          const waitForExit = function() {
+            if (exits.length === 0) {
+              return setTimeout(waitForExit, 5);
+            }
+            assert.deepEqual(process.listeners('SIGTERM'), [statsdHandler]);
+            process.removeListener('SIGTERM', statsdHandler);
+            assert.deepEqual(exits, [0]);
+            done();
+          };
+          waitForExit();
+        });
+      nri.init(null, config, emitter, logger);
+      emitter.emit('flush', 100, flush(2, 5, {}));
+      process.emit('SIGTERM');
+    });
+
+    it('sends the metrics rolled up when StatsD is stopped while payloads wait to be retried', function(done) {
+      const emitter = new events.EventEmitter();
+      const signals = [];
+      process.kill = function(pid, signal) {
+        signals.push(signal);
+      };
+      const scope = nock('http://localhost:9078')
+        .post('/v1/data')
+        .replyWithError('connect ECONNREFUSED')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.equal(requestBody.metrics[0].hits, 8);
+          const waitForSignal = function() {
+            if (signals.length === 0) {
+              return setTimeout(waitForSignal, 5);
+            }
+            assert.deepEqual(signals, ['SIGTERM']);
+            done();
+          };
+          waitForSignal();
+        });
+      const retrying = Object.assign({}, config, {
+        newrelic: Object.assign({}, config.newrelic, { retry: { initialBackoffSeconds: 60 } })
+      });
+      nri.init(null, retrying, emitter, logger);
+      emitter.emit('flush', 100, flush(2, 5, {}));
+      emitter.emit('flush', 102, flush(2, 5, {}));
+      emitter.emit('flush', 104, flush(2, 5, {}));
+      const waitForQueue = function() {
+        if (scope.pendingMocks().length > 1) {
+          return setTimeout(waitForQueue, 5);
+        }
+        setTimeout(function() {
+          emitter.emit('flush', 106, flush(8, 5, {}));
+          process.emit('SIGTERM');
+        }, 20);
+      };
+      waitForQueue();
+    });
+
+    it('reports send intervals shorter than the flush interval', function() {
+      const messages = [];
+      const invalid = Object.assign({}, config, { newrelic: Object.assign({}, config.newrelic, { sendInterval: 1000, strict: true }) });
+      assert.equal(nri.init(null, invalid, new events.EventEmitter(), { log: function(msg) { messages.push(msg); } }), false);
+      assert.deepEqual(messages, [
+        'Invalid configuration for backend \'newrelic\': sendInterval must be a number of milliseconds not shorter than the StatsD flushInterval (2000)'
+      ]);
+    });
+  });
+
+  describe('library API', function() {
+    const options = {
+      tagFormat: 'influxdb',
+      protocolVersion: 2,
+      rules: [{
+        matchExpression: '^myapp\\.redis\\.',
+        metricSchema: '{app}.{service}.{metricName}',
+        entityType: 'Redis',
+        entityName: '{app}',
+        eventType: 'RedisSample',
+        inventory: { version: 'version' }
+      }]
+    };
+    const metrics = {
+      counters: { 'myapp.redis.hits,env=prod': 10 },
+      counter_rates: { 'myapp.redis.hits,env=prod': 1 },
+      gauges: { 'myapp.redis.version,env=prod': 6, 'myapp.web.load': 3 }
+    };
+
+    it('parses the tags of a key', function() {
+      assert.deepEqual(nri.parseTags('myapp.hits#env:prod,team:web'), { name: 'myapp.hits', tags: { env: 'prod', team: 'web' } });
+      assert.deepEqual(nri.parseTags('myapp.hits,env=prod', 'influxdb'), { name: 'myapp.hits', tags: { env: 'prod' } });
+      assert.throws(function() {
+        nri.parseTags('myapp.hits', 'statsite');
+      }, /Unsupported tagFormat statsite/);
+    });
+
+    it('composes the payload of a StatsD metrics object', function() {
+      const data = nri.collectMetrics(metrics, options);
+      const entityId = 'Redis:myapp:{"env":"prod"}';
+      assert.deepEqual(Object.keys(data), [entityId]);
+      assert.deepEqual(data[entityId].metrics.RedisSample, {
+        app: 'myapp', service: 'redis', hits: 10, hitsPerSecond: 1, version: 6, 'label.env': 'prod'
+      });
+
+      const expected = {
+        name: 'com.newrelic.statsd',
+        integration_version: '0.1.0',
+        protocol_version: '2',
+        data: [{
+          entity: { name: 'myapp', type: 'Redis' },
+          metrics: [{
+            event_type: 'RedisSample', app: 'myapp', service: 'redis', hits: 10, hitsPerSecond: 1, 'label.env': 'prod',
+            entityName: 'Redis:myapp', displayName: 'myapp'
+          }],
+          events: [],
+          inventory: { version: { value: 6 } }
+        }]
+      };
+      assert.deepEqual(nri.composePayload(data, options), expected);
+      // The samples are left untouched, so they compose the same payload again.
+      assert.equal(data[entityId].metrics.RedisSample.version, 6);
+      assert.deepEqual(nri.composePayload(data, options), expected);
+    });
+
+    it('composes the payload of samples built without collectMetrics', function() {
+      const data = {
+        'Redis:myapp': { entity: { name: 'myapp', type: 'Redis' }, metrics: { RedisSample: { service: 'redis', hits: 10 } } }
+      };
+      const payload = nri.composePayload(data, { protocolVersion: 2 });
+      assert.deepEqual(payload.data, [{
+        entity: { name: 'myapp', type: 'Redis' },
+        metrics: [{ event_type: 'RedisSample', service: 'redis', hits: 10, entityName: 'Redis:myapp', displayName: 'myapp' }],
+        events: [],
+        inventory: {}
+      }]);
+      assert.deepEqual(nri.composePayload(data, {}).metrics, [{ event_type: 'RedisSample', service: 'redis', hits: 10 }]);
+    });
+
+    it('does not keep state between calls', function() {
+      const limited = Object.assign({}, options, { rules: [Object.assign({ tagLimits: { maxValues: 1 } }, options.rules[0])] });
+      const first = nri.collectMetrics({ gauges: { 'myapp.redis.load,env=prod': 1 } }, limited);
+      const second = nri.collectMetrics({ gauges: { 'myapp.redis.load,env=dev': 1 } }, limited);
+      assert.deepEqual(Object.keys(first), ['Redis:myapp:{"env":"prod"}']);
+      assert.deepEqual(Object.keys(second), ['Redis:myapp:{"env":"dev"}']);
+    });
+
+    it('rejects invalid options', function() {
+      assert.throws(function() {
+        nri.collectMetrics(metrics, { rules: [{ matchExpression: '.*' }] });
+      }, /Invalid options for backend 'newrelic': rules\[0\]/);
+    });
+
+    it('sends a payload to the agent', function(done) {
+      const payload = nri.composePayload(nri.collectMetrics(metrics, options), options);
+      nock('http://localhost:9077')
+        .post('/v1/data', payload)
+        .reply(204);
+      nri.sendPayload(payload, { port: 9077 }, function(err) {
+        assert.equal(err, null);
+        done();
+      });
+    });
+
+    it('calls back with the error when the agent is unavailable', function(done) {
+      nock('http://localhost:9077')
+        .post('/v1/data')
+        .reply(503, 'unavailable');
+      nri.sendPayload('{}', { port: 9077 }, function(err) {
+        assert.equal(err.statusCode, 503);
+        done();
+      });
+    });
+
+    it('times out the requests after requestTimeoutSeconds', function(done) {
+      nock('http://localhost:9077')
+        .post('/v1/data')
+        .delay(500)
+        .reply(204);
+      nri.sendPayload('{}', { port: 9077, requestTimeoutSeconds: 0.05 }, function(err) {
+        assert.equal(err.code, 'ETIMEDOUT');
+        done();
+      });
+      assert.throws(function() {
+        nri.sendPayload('{}', { requestTimeoutSeconds: 0 });
+      }, /requestTimeoutSeconds must be a positive number/);
+    });
+
+    it('creates backends that preview flushes without StatsD', function() {
+      const payloads = [];
+      const trace = {
+        matched: function() {},
+        unmatched: function() {},
+        schemaRejected: function() {},
+        overLimit: function() {},
+        payload: function(destination, payload) { payloads.push(payload); }
+      };
+      const backend = nri.createBackend(null, { newrelic: options }, { log: function() {} });
+      assert.equal(backend instanceof nri.Backend, true);
+      backend.preview(12345, metrics, trace);
+      assert.deepEqual(payloads, [nri.composePayload(nri.collectMetrics(metrics, options), options)]);
+      assert.equal(nri.createBackend(null, { newrelic: { strict: true, rules: [{ matchExpression: '(' }] } }, { log: function() {} }), null);
+    });
+  });
+
+  describe('nriInitBackend with destinations', function() {
+    const logger = { log: function() {} };
+    const redisRule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis Cluster',
+      entityName: 'Production Host1',
+      eventType: 'RedisSample'
+    };
+    const webRule = {
+      matchExpression: '.*web.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Web',
+      entityName: 'frontend',
+      eventType: 'WebSample'
+    };
+    const metrics = {
+      gauges: { 'myapp.redis.my_gauge': 1, 'myapp.web.requests': 3 }
+    };
+
+    it('sends every destination the payload of its own rules', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          rules: [redisRule],
+          destinations: [
+            { port: 9070 },
+            { host: 'aggregator', port: 9071, rules: [webRule], protocolVersion: 2 }
+          ]
+        }
+      });
+      let pending = 2;
+      const finish = function() {
+        if (--pending === 0) {
+          const stats = {};
+          emitter.emit('status', function(err, backend, stat, value) {
+            stats[stat] = value;
+          });
+          assert.equal(stats.rule_0_matched_keys, 1);
+          assert.equal(stats.destination_1_rule_0_matched_keys, 1);
+          done();
+        }
+      };
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, [{event_type: 'RedisSample', app: 'myapp', service: 'redis', my_gauge: 1}]);
+          finish();
+        });
+      nock('http://aggregator:9071')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.equal(requestBody.protocol_version, '2');
+          assert.deepEqual(requestBody.data[0].entity, { name: 'frontend', type: 'Web' });
+          assert.equal(requestBody.data[0].metrics[0].requests, 3);
+          finish();
+        });
+      nri.init(null, config, emitter, logger);
+      emitter.emit('flush', 12345, metrics);
+    });
+
+    it('tries the failover hosts while the agent is unavailable', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          port: 9070,
+          rules: [redisRule],
+          failover: ['backup1:9071', { host: 'backup2' }]
+        }
+      });
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .replyWithError({ message: 'connect ECONNREFUSED', code: 'ECONNREFUSED' });
+      nock('http://backup1:9071')
+        .post('/v1/data')
+        .reply(503, 'unavailable');
+      nock('http://backup2:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.equal(requestBody.metrics[0].my_gauge, 1);
+          waitForResponse();
+        });
+      const waitForResponse = function() {
+        const stats = {};
+        emitter.emit('status', function(err, backend, stat, value) {
+          stats[stat] = value;
+        });
+        if (stats.http_2xx < 1) {
+          return setTimeout(waitForResponse, 5);
+        }
+        assert.equal(stats.failover_requests, 2);
+        assert.equal(stats.http_errors, 1);
+        assert.equal(stats.http_5xx, 1);
+        done();
+      };
+      nri.init(null, config, emitter, logger);
+      emitter.emit('flush', 12345, metrics);
+    });
+
+    it('reports the errors of the destination rules', function() {
+      const messages = [];
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          strict: true,
+          rules: [redisRule],
+          destinations: [{ port: 9070 }, { port: 9071, rules: [{ matchExpression: '(' }], failover: [42] }]
+        }
+      });
+
+      assert.equal(nri.init(null, config, new events.EventEmitter(), { log: function(msg) { messages.push(msg); } }), false);
+      assert.equal(messages.some(function(msg) { return msg.indexOf('destinations[1].rules[0].matchExpression') >= 0; }), true);
+      assert.equal(messages.some(function(msg) { return msg.indexOf('destinations[1].failover[0]') >= 0; }), true);
+    });
+
+    it('spools the payloads of every destination to its own directory', function(done) {
+      const emitter = new events.EventEmitter();
+      const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nri-spool-'));
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          rules: [redisRule],
+          retry: { spoolDir: spoolDir, initialBackoffSeconds: 60 },
+          destinations: [{ port: 9070 }, { port: 9071 }]
+        }
+      });
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(503, 'unavailable');
+      nock('http://localhost:9071')
+        .post('/v1/data')
+        .reply(503, 'unavailable');
+      const spooled = function(dir) {
+        return fs.existsSync(dir) ? fs.readdirSync(dir).length : 0;
+      };
+      const waitForRetries = function() {
+        if (spooled(path.join(spoolDir, 'destination-0')) + spooled(path.join(spoolDir, 'destination-1')) < 2) {
+          return setTimeout(waitForRetries, 5);
+        }
+        assert.deepEqual(fs.readdirSync(spoolDir).sort(), ['destination-0', 'destination-1']);
+        assert.equal(spooled(path.join(spoolDir, 'destination-0')), 1);
+        assert.equal(spooled(path.join(spoolDir, 'destination-1')), 1);
+        done();
+      };
+      nri.init(null, config, emitter, logger);
+      emitter.emit('flush', 12345, metrics);
+      waitForRetries();
+    });
+
+    it('does not retry for a destination using the spoolDir of another one', function() {
+      const messages = [];
+      const emitter = new events.EventEmitter();
+      const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nri-spool-'));
+      fs.writeFileSync(path.join(spoolDir, 'nri-12345-0.json'), '{}');
+      const retry = { spoolDir: spoolDir, initialBackoffSeconds: 60 };
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          rules: [redisRule],
+          destinations: [{ port: 9070, retry: retry }, { port: 9071, retry: retry }]
+        }
+      });
+
+      assert.equal(nri.init(null, config, emitter, { log: function(msg) { messages.push(msg); } }), true);
+      assert.equal(messages.some(function(msg) { return msg.indexOf('destinations[1].retry.spoolDir is already used by destinations[0]') >= 0; }), true);
+      const stats = {};
+      emitter.emit('status', function(err, backend, stat, value) {
+        stats[stat] = value;
+      });
+      assert.equal(stats.retry_queue_length, 1);
+    });
+  });
+
+  describe('nriInitBackend transport', function() {
+    const logger = { log: function() {} };
+    const http = require('http');
+    const zlib = require('zlib');
+    const rules = [{
+      matchExpression: '.*',
+      metricSchema: '{metricName}',
+      entityType: 'foo',
+      entityName: 'bar',
+      eventType: 'Example'
+    }];
+    const metrics = {
+      gauges: { my_gauge: 1 }
+    };
+    const expected = [{event_type: 'Example', my_gauge: 1}];
+    let dir;
+
+    beforeEach(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nri-transport-'));
+    });
+    afterEach(function() {
+      nock.disableNetConnect();
+      fs.readdirSync(dir).forEach(function(file) {
+        fs.unlinkSync(path.join(dir, file));
+      });
+      fs.rmdirSync(dir);
+    });
+
+    it('sends payloads over https to a custom path with extra headers', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          rules: rules,
+          scheme: 'https',
+          port: 9443,
+          path: '/statsd/v1/data',
+          headers: { Authorization: 'Bearer secret' },
+          tls: { rejectUnauthorized: false }
+        }
+      });
+
+      nock('https://localhost:9443', { reqheaders: { Authorization: 'Bearer secret', 'User-Agent': 'StatsD-backend' } })
+        .post('/statsd/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics, expected);
+          done();
+        });
+      nri.init(null, config, emitter, logger);
+      emitter.emit('flush', 12345, metrics);
+    });
+
+    it('sends compressed payloads through a Unix domain socket', function(done) {
+      const emitter = new events.EventEmitter();
+      const socketPath = path.join(dir, 'agent.sock');
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { rules: rules, socketPath: socketPath, gzip: true }
+      });
+      const server = http.createServer(function(req, res) {
+        const chunks = [];
+        req.on('data', function(chunk) {
+          chunks.push(chunk);
+        });
+        req.on('end', function() {
+          res.writeHead(204);
+          res.end();
+          server.close();
+          assert.equal(req.headers['content-encoding'], 'gzip');
+          assert.equal(req.url, '/v1/data');
+          const payload = JSON.parse(zlib.gunzipSync(Buffer.concat(chunks)).toString());
+          assert.deepEqual(payload.metrics, expected);
+          done();
+        });
+      });
+
+      nock.enableNetConnect();
+      server.listen(socketPath, function() {
+        nri.init(null, config, emitter, logger);
+        emitter.emit('flush', 12345, metrics);
+      });
+    });
+
+    it('does not start in strict mode when the TLS files can not be read', function() {
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: {
+          rules: rules,
+          strict: true,
+          scheme: 'https',
+          tls: { ca: path.join(dir, 'missing-ca.pem') }
+        }
+      });
+      const messages = [];
+
+      assert.equal(nri.init(null, config, new events.EventEmitter(), { log: function(msg) { messages.push(msg); } }), false);
+      assert.equal(messages.some(function(msg) { return msg.indexOf('tls.ca can\'t be read') >= 0; }), true);
+    });
+  });
+
+  describe('nriInitBackend with the metricApi output', function() {
+    const logger = { log: function() {} };
+    const http = require('http');
+    const zlib = require('zlib');
+    const rule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis Cluster',
+      entityName: 'Production Host1',
+      eventType: 'RedisSample',
+      labels: { role: 'cache' }
+    };
+    const metrics = {
+      counters: { 'myapp.redis.hits#env:prod': 30 },
+      counter_rates: { 'myapp.redis.hits#env:prod': 3 },
+      gauges: { 'myapp.redis.memory#env:prod': 3.1 },
+      timer_data: { 'myapp.redis.latency#env:prod': { count: 4, sum: 10, lower: 1, upper: 4 } }
+    };
+    let server;
+    let requests;
+    // responses are the status codes of the stand-in Metric API, or objects
+    // with the status and headers, 202 once they are used.
+    const startServer = function(responses, onRequest, callback) {
+      requests = [];
+      server = http.createServer(function(req, res) {
+        const chunks = [];
+        req.on('data', function(chunk) {
+          chunks.push(chunk);
+        });
+        req.on('end', function() {
+          const body = req.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(Buffer.concat(chunks)) : Buffer.concat(chunks);
+          const response = responses.length > 0 ? responses.shift() : 202;
+          const status = response.status || response;
+          requests.push({ headers: req.headers, url: req.url, status: status, time: Date.now(), payload: JSON.parse(body.toString()) });
+          res.writeHead(status, response.headers);
+          res.end();
+          onRequest();
+        });
+      });
+      nock.enableNetConnect('127.0.0.1');
+      server.listen(0, '127.0.0.1', callback);
+    };
+    const config = function(options) {
+      return Object.assign({}, defaultConfig, {
+        flushInterval: 5000,
+        newrelic: Object.assign({
+          rules: [rule],
+          output: 'metricApi',
+          url: 'http://127.0.0.1:' + server.address().port + '/metric/v1',
+          apiKey: 'secret'
+        }, options)
+      });
+    };
+
+    afterEach(function(done) {
+      nock.disableNetConnect();
+      server.close(function() {
+        done();
+      });
+    });
+
+    it('posts dimensional metrics with the API key', function(done) {
+      const emitter = new events.EventEmitter();
+      startServer([], function() {
+        const request = requests[0];
+        assert.equal(request.url, '/metric/v1');
+        assert.equal(request.headers['api-key'], 'secret');
+        assert.equal(request.headers['content-encoding'], 'gzip');
+        assert.deepEqual(request.payload[0].common, { timestamp: 12345000, 'interval.ms': 5000 });
+        const attributes = {
+          eventType: 'RedisSample',
+          entityName: 'Production Host1',
+          entityType: 'Redis Cluster',
+          app: 'myapp',
+          service: 'redis',
+          'label.role': 'cache',
+          'label.env': 'prod'
+        };
+        assert.deepEqual(request.payload[0].metrics, [
+          { name: 'hits', type: 'count', value: 30, attributes: attributes },
+          { name: 'hitsPerSecond', type: 'gauge', value: 3, attributes: attributes },
+          { name: 'memory', type: 'gauge', value: 3.1, attributes: attributes },
+          { name: 'latency', type: 'summary', value: { count: 4, sum: 10, min: 1, max: 4 }, attributes: attributes }
+        ]);
+        done();
+      }, function() {
+        nri.init(null, config({}), emitter, logger);
+        emitter.emit('flush', 12345, metrics);
+      });
+    });
+
+    it('splits payloads that are too large and retries rate limited ones', function(done) {
+      const emitter = new events.EventEmitter();
+      startServer([413, 429], function() {
+        const accepted = requests.filter(function(request) {
+          return request.status === 202;
+        });
+        const acceptedMetrics = accepted.reduce(function(total, request) {
+          return total + request.payload[0].metrics.length;
+        }, 0);
+        if (acceptedMetrics < 4) {
+          return;
+        }
+        assert.equal(requests[0].status, 413);
+        assert.equal(requests[1].status, 429);
+        // The part rate limited is sent again later.
+        assert.deepEqual(accepted[accepted.length - 1].payload, requests[1].payload);
+        assert.equal(acceptedMetrics, 4);
+        done();
+      }, function() {
+        nri.init(null, config({ retry: { initialBackoffSeconds: 0.01 } }), emitter, logger);
+        emitter.emit('flush', 12345, metrics);
+      });
+    });
+
+    it('retries rate limited payloads after their Retry-After without a retry setting', function(done) {
+      const emitter = new events.EventEmitter();
+      startServer([{ status: 429, headers: { 'Retry-After': '1' } }], function() {
+        if (requests.length < 2) {
+          return;
+        }
+        assert.deepEqual(requests[1].payload, requests[0].payload);
+        assert.equal(requests[1].time - requests[0].time >= 900, true);
+        done();
+      }, function() {
+        nri.init(null, config({}), emitter, logger);
+        emitter.emit('flush', 12345, metrics);
+      });
+    });
+
+    it('does not start in strict mode without an API key', function(done) {
+      startServer([], function() {}, function() {
+        assert.equal(nri.init(null, config({ strict: true, apiKey: undefined }), new events.EventEmitter(), logger), false);
+        done();
+      });
+    });
+  });
+
+  describe('nriInitBackend status and backend sample', function() {
+    const logger = { log: function() {} };
+    const redisRule = {
+      matchExpression: '.*redis.*',
+      metricSchema: '{app}.{service}.{metricName}',
+      entityType: 'Redis Cluster',
+      entityName: 'Production Host1',
+      eventType: 'RedisSample'
+    };
+    const metrics = {
+      gauges: { 'myapp.redis.my_gauge': 1, 'redis.short': 2, 'myapp.web.requests': 3 }
+    };
+    const status = function(emitter) {
+      const stats = {};
+      emitter.emit('status', function(err, backend, stat, value) {
+        assert.equal(backend, 'newrelic');
+        stats[stat] = value;
+      });
+      return stats;
+    };
+
+    it('reports the backend activity through the status command', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [redisRule], metricsLimit: 1, sendLimitErrors: false, defaultRule: {
+          metricSchema: '{metricName}', entityType: 'StatsD', entityName: 'default', eventType: 'StatsdSample'
+        } }
+      });
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204);
+      nri.init(12345, config, emitter, logger);
+      emitter.emit('flush', 12345, metrics);
+
+      const stats = status(emitter);
+      assert.equal(stats.last_exception > 12345, true);
+      assert.equal(stats.matched_keys, 2);
+      assert.equal(stats.default_rule_keys, 1);
+      assert.equal(stats.unmatched_keys, 0);
+      assert.equal(stats.rule_0_matched_keys, 2);
+      assert.equal(stats.schema_rejected_keys, 1);
+      assert.equal(stats.dropped_samples, 1);
+      assert.equal(stats.payload_bytes > 0, true);
+      done();
+    });
+
+    it('counts the HTTP results by status class', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, { newrelic: { port: 9070, rules: [redisRule] } });
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(503, 'unavailable')
+        .post('/v1/data')
+        .reply(204);
+      nri.init(12345, config, emitter, logger);
+      emitter.emit('flush', 12345, metrics);
+      emitter.emit('flush', 12345, metrics);
+
+      const waitForResponses = function() {
+        const stats = status(emitter);
+        if (stats.http_2xx + stats.http_5xx < 2) {
+          return setTimeout(waitForResponses, 5);
+        }
+        assert.equal(stats.http_2xx, 1);
+        assert.equal(stats.http_5xx, 1);
+        assert.equal(stats.http_errors, 0);
+        assert.equal(stats.payload_bytes > 0, true);
+        assert.equal(typeof stats.request_latency, 'number');
+        done();
+      };
+      waitForResponses();
+    });
+
+    it('sends a StatsdBackendSample with the activity since the previous one', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [redisRule], sendBackendSample: true }
+      });
+      const expected = {
+        event_type: 'StatsdBackendSample',
+        matchedKeys: 2,
+        defaultRuleKeys: 0,
+        unmatchedKeys: 1,
+        schemaRejectedKeys: 1,
+        droppedSamples: 0,
+        http2xxResponses: 0,
+        http3xxResponses: 0,
+        http4xxResponses: 0,
+        http5xxResponses: 0,
+        httpErrors: 0,
+        failoverRequests: 0,
+        events: 0,
+        collapsedSeries: 0,
+        droppedSeries: 0,
+        sanitizedNames: 0,
+        truncatedNames: 0,
+        truncatedValues: 0,
+        droppedValues: 0,
+        payloadBytes: 0,
+        'rule.0.matchedKeys': 2,
+        requestLatencyMs: 0,
+        rulesVersion: 1,
+        rules: 1
+      };
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.deepEqual(requestBody.metrics[1], expected);
+          setImmediate(function() {
+            emitter.emit('flush', 12345, metrics);
+          });
+        })
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          const sample = requestBody.metrics[1];
+          assert.equal(sample.matchedKeys, 2);
+          assert.equal(sample.payloadBytes > 0, true);
+          done();
+        });
+      nri.init(12345, config, emitter, logger);
+      emitter.emit('flush', 12345, metrics);
+    });
+
+    it('reports the keys that did not reach New Relic with the diagnostics', function() {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [redisRule], diagnostics: { topKeys: 5 } }
+      });
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204);
+      nri.init(12345, config, emitter, logger);
+      emitter.emit('flush', 12345, metrics);
+
+      const stats = status(emitter);
+      assert.deepEqual(JSON.parse(stats.diagnostics_unmatched_keys), [{
+        key: 'myapp.web.requests', count: 1
+      }]);
+      assert.deepEqual(JSON.parse(stats.diagnostics_schema_rejected_keys), [{
+        key: 'redis.short',
+        count: 1,
+        rule: 0,
+        expression: '.*redis.*',
+        reason: 'has less elements than metricSchema {app}.{service}.{metricName}'
+      }]);
+      assert.equal(stats.diagnostics_untracked_keys, 0);
+    });
+
+    it('logs only the messages of the configured level', function() {
+      const emitter = new events.EventEmitter();
+      const messages = [];
+      const config = Object.assign({}, defaultConfig, {
+        debug: true,
+        newrelic: { port: 9070, rules: [], logLevel: 'warn', matchMode: 'any' }
+      });
+      nri.init(12345, config, emitter, { log: function(msg, type) { messages.push(type); } });
+      emitter.emit('flush', 12345, metrics);
+
+      assert.deepEqual(messages, ['ERR', 'WARNING', 'WARNING']);
+    });
+
+    it('attaches the StatsdBackendSample to the local host with protocol v2', function(done) {
+      const emitter = new events.EventEmitter();
+      const config = Object.assign({}, defaultConfig, {
+        newrelic: { port: 9070, rules: [redisRule], sendBackendSample: true, protocolVersion: 2 }
+      });
+
+      nock('http://localhost:9070')
+        .post('/v1/data')
+        .reply(204, function(uri, requestBody) {
+          assert.equal(requestBody.data.length, 1);
+          assert.equal(requestBody.data[0].entity, undefined);
+          assert.equal(requestBody.data[0].metrics[0].event_type, 'StatsdBackendSample');
+          assert.equal(requestBody.data[0].metrics[0].unmatchedKeys, 1);
+          done();
+        });
+      nri.init(12345, config, emitter, logger);
+      emitter.emit('flush', 12345, { gauges: { 'other.key': 1 } });
+    });
+  });
 });